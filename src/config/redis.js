@@ -0,0 +1,18 @@
+const Redis = require('ioredis');
+
+let client = null;
+
+// Shared Redis connection, or null when REDIS_URL is not set.
+// ioredis queues commands until connected, so callers don't need to wait.
+const getRedisClient = () => {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!client) {
+    client = new Redis(process.env.REDIS_URL);
+    client.on('connect', () => console.log('✅ Redis Connected'));
+    client.on('error', (error) => console.error(`❌ Redis Error: ${error.message}`));
+  }
+  return client;
+};
+
+module.exports = { getRedisClient };
@@ -1,10 +1,81 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const sessionService = require('../services/sessionService');
+const mailer = require('../services/mailer');
+const loginProtection = require('../services/loginProtection');
+const totp = require('../utils/totp');
+const { getClientInfo } = require('../utils/request');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
+
+// Generate short-lived token proving the password step of a 2FA login.
+// Its ID is stored on the user so the token works only once.
+const generateChallengeToken = async (userId) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: userId }, { 'twoFactor.challengeId': challengeId });
+
+  return jwt.sign({ userId, purpose: TWO_FACTOR_CHALLENGE }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+    jwtid: challengeId
+  });
+};
+
+// Check a TOTP code against the user's secret, rejecting replayed codes.
+// User must be loaded with +twoFactor.secret +twoFactor.lastUsedStep.
+const checkTotp = (user, code) => {
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Respond to a login blocked by brute-force protection (423 locked / 429 slow down)
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(block.status).json({
+    success: false,
+    code: block.status === 423 ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    message: block.message,
+    data: {
+      scope: block.scope,
+      retryAfter: block.retryAfter
+    }
+  });
+};
+
+// Mark user online, open a device session and send the login response
+const completeLogin = async (user, req, res) => {
+  await loginProtection.recordSuccess({ email: user.email });
+
+  // Update status to online
+  user.status = 'online';
+  user.lastSeen = Date.now();
+  await user.save();
+
+  const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        avatar: user.avatar,
+        bio: user.bio,
+        status: user.status,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled
+      },
+      token: accessToken,
+      refreshToken
+    }
   });
 };
 
@@ -30,7 +101,14 @@ exports.register = async (req, res) => {
       avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=random`
     });
 
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if mail fails)
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    mailer.sendVerificationEmail(user, verificationToken).catch(error => {
+      console.error('Error sending verification email:', error);
+    });
+
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -41,9 +119,11 @@ exports.register = async (req, res) => {
           email: user.email,
           name: user.name,
           avatar: user.avatar,
-          bio: user.bio
+          bio: user.bio,
+          emailVerified: user.emailVerified
         },
-        token
+        token: accessToken,
+        refreshToken
       }
     });
   } catch (error) {
@@ -58,11 +138,18 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const { ip, userAgent } = getClientInfo(req);
+
+    const block = await loginProtection.checkLogin({ email, ip });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
 
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await loginProtection.recordFailure({ email, ip, userAgent });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -72,32 +159,158 @@ exports.login = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtection.recordFailure({ email, ip, userAgent, userId: user._id });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update status to online
-    user.status = 'online';
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await generateChallengeToken(user._id)
+        }
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Second login step: exchange challenge token + TOTP/recovery code for tokens
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.challengeId');
+
+    if (!user || !user.twoFactor.enabled || !decoded.jti || user.twoFactor.challengeId !== decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const { ip, userAgent } = getClientInfo(req);
+    const block = await loginProtection.checkLogin({ email: user.email, ip });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const valid = code ? checkTotp(user, code) : user.useRecoveryCode(recoveryCode);
+    if (!valid) {
+      await loginProtection.recordFailure({ email: user.email, ip, userAgent, userId: user._id });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Consume the challenge; of two requests racing with it only one gets in
+    const consumed = await User.updateOne(
+      { _id: user._id, 'twoFactor.challengeId': decoded.jti },
+      { $unset: { 'twoFactor.challengeId': 1 } }
+    );
+    if (consumed.modifiedCount === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Logout user
+exports.logout = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.status = 'offline';
     user.lastSeen = Date.now();
     await user.save();
 
-    const token = generateToken(user._id);
+    // Revoke the current device session
+    const session = await Session.findById(req.sessionId);
+    if (session && !session.revokedAt) {
+      await sessionService.revokeSession(session, 'logout', req.app.get('io'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Exchange refresh token for a new access token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await sessionService.rotateRefreshToken(refreshToken, req, req.app.get('io'));
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          avatar: user.avatar,
-          bio: user.bio,
-          status: user.status
-        },
-        token
+        token: result.accessToken,
+        refreshToken: result.refreshToken
       }
     });
   } catch (error) {
@@ -108,17 +321,509 @@ exports.login = async (req, res) => {
   }
 };
 
-// Logout user
-exports.logout = async (req, res) => {
+// List active device sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Revoke a device session
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revokeSession(session, 'revoked', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Verify email address
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Resend verification email
+exports.resendVerification = async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    user.status = 'offline';
-    user.lastSeen = Date.now();
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await mailer.sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Request password reset email
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Always answer the same way so the endpoint can't be used to probe for accounts
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      mailer.sendPasswordResetEmail(user, resetToken).catch(error => {
+        console.error('Error sending password reset email:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Reset password with token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = Date.now();
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the reset mail proves ownership of the address
+    user.emailVerified = true;
     await user.save();
 
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id, 'password-reset', req.app.get('io'));
+
+    // A successful reset also lifts a login lockout
+    await loginProtection.unlock({
+      email: user.email,
+      userId: user._id,
+      actor: user._id,
+      method: 'password-reset'
+    });
+
     res.json({
       success: true,
-      message: 'Logout successful'
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Start 2FA enrollment: generate a secret for the authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        // Render this URI as a QR code for authenticator apps
+        otpauthUrl: totp.buildOtpauthUrl(secret, user.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Confirm enrollment with a first code and turn 2FA on
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = Date.now();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Turn 2FA off (requires password and a code or recovery code)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    const valid = code ? checkTotp(user, code) : user.useRecoveryCode(recoveryCode);
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Replace recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!checkTotp(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Email a self-service unlock link for a locked account
+exports.requestUnlock = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user) {
+      const unlockToken = await loginProtection.createUnlockToken(user.email);
+      if (unlockToken) {
+        mailer.sendUnlockEmail(user, unlockToken).catch(error => {
+          console.error('Error sending unlock email:', error);
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If this account is locked, an unlock link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unlock an account with the emailed token
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const email = token && await loginProtection.findUnlockToken(token);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    await loginProtection.unlock({
+      email,
+      userId: user?._id,
+      actor: user?._id,
+      method: 'self-service'
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Admin: lift a lockout on an account and/or IP address
+exports.adminUnlock = async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+
+    if (!email && !ip) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or IP is required'
+      });
+    }
+
+    const user = email ? await User.findOne({ email: email.toLowerCase().trim() }) : null;
+    const cleared = await loginProtection.unlock({
+      email,
+      ip,
+      userId: user?._id,
+      actor: req.user._id,
+      method: 'admin'
+    });
+
+    res.json({
+      success: true,
+      message: cleared > 0 ? 'Lockout cleared' : 'Nothing to unlock'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Admin: list lockout audit events
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { event, userId, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (event) query.event = event;
+    if (userId) query.user = userId;
+
+    const entries = await AuditLog.find(query)
+      .populate('user', 'name email')
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: entries
     });
   } catch (error) {
     res.status(500).json({
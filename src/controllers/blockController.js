@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ContactRequest = require('../models/ContactRequest');
+const privacy = require('../services/privacy');
+
+// Get blocked users
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'name email avatar');
+    await privacy.hideAvatars(user, ['blockedUsers'], req.user._id);
+
+    res.json({
+      success: true,
+      data: user.blockedUsers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Block a user
+exports.blockUser = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId is required'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const target = await User.findById(userId).select('name email avatar');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { blockedUsers: target._id }
+    });
+
+    // Drop pending contact requests between the two users
+    await ContactRequest.updateMany(
+      {
+        status: 'pending',
+        $or: [
+          { from: req.user._id, to: userId },
+          { from: userId, to: req.user._id }
+        ]
+      },
+      { status: 'cancelled', respondedAt: Date.now() }
+    );
+
+    // Hide each other's presence from now on
+    const io = req.app.get('io');
+    io.to(userId).emit('user:offline', { userId: req.user._id.toString() });
+    io.to(req.user._id.toString()).emit('user:offline', { userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'User blocked',
+      // Shown as blocked from now on
+      data: privacy.filterProfile(target, req.user._id, true)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unblock a user
+exports.unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { blockedUsers: userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
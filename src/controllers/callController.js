@@ -1,5 +1,9 @@
 const Call = require('../models/Call');
 const User = require('../models/User');
+const privacy = require('../services/privacy');
+
+// Populated users in calls, for privacy.hideAvatars
+const CALL_USER_PATHS = ['caller', 'receiver'];
 
 // Get call history for a user
 exports.getCallHistory = async (req, res) => {
@@ -15,6 +19,7 @@ exports.getCallHistory = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
+    await privacy.hideAvatars(calls, CALL_USER_PATHS, userId);
 
     const total = await Call.countDocuments({
       $or: [{ caller: userId }, { receiver: userId }]
@@ -54,6 +59,7 @@ exports.getCallById = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
+    await privacy.hideAvatars(call, CALL_USER_PATHS, userId);
     res.json({ success: true, data: call });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -1,39 +1,117 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
-const User = require('../models/User');
+const Upload = require('../models/Upload');
+const privacy = require('../services/privacy');
+const messagePagination = require('../services/messagePagination');
+const conversationService = require('../services/conversationService');
+const messageSearch = require('../services/messageSearch');
+const syncService = require('../services/syncService');
+const starredMessages = require('../services/starredMessages');
+const messageService = require('../services/messageService');
 
-// Send a message (via HTTP - backup)
+// Send a message (via HTTP - backup). Delivered exactly like `message:send`;
+// repeating a clientMessageId returns the stored message instead of a new one.
 exports.sendMessage = async (req, res) => {
   try {
-    const { receiverId, content, type, replyTo } = req.body;
+    const result = await messageService.sendDirectMessage(req.app.get('io'), req.user._id, req.body);
 
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
-      return res.status(404).json({
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: 'Receiver not found'
+        code: result.error.code,
+        message: result.error.message
       });
     }
 
-    const message = await Message.create({
-      sender: req.user._id,
-      receiver: receiverId,
-      content,
-      type: type || 'text',
-      conversationType: 'direct',
-      replyTo
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      duplicate: result.duplicate,
+      data: result.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+};
+
+// Get chat history between two users.
+// Cursor paging: `before` / `after` / `around` (message ID, or `around=unread`).
+exports.getChatHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
 
-    await message.populate('sender', 'name email avatar');
-    await message.populate('receiver', 'name email avatar');
-    if (replyTo?.messageId) {
-      await message.populate('replyTo.sender', 'name email avatar');
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const page = await messagePagination.paginateMessages({
+      filter: {
+        $or: [
+          { sender: req.user._id, receiver: userId, conversationType: 'direct' },
+          { sender: userId, receiver: req.user._id, conversationType: 'direct' }
+        ],
+        'deletedBy.userId': { $ne: req.user._id }
+      },
+      unreadFilter: await conversationService.directUnreadFilter(req.user._id, userId),
+      query: req.query,
+      populate: (query) => query
+        .populate('sender', 'name email avatar')
+        .populate('receiver', 'name email avatar')
+        .populate('replyTo.sender', 'name email avatar')
+    });
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        code: page.code,
+        message: page.error
+      });
     }
+    await privacy.hideAvatars(page.messages, Message.USER_PATHS, req.user._id);
+
+    res.json({
+      success: true,
+      data: page
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
-    res.status(201).json({
+// Get recent direct conversations
+exports.getConversations = async (req, res) => {
+  try {
+    const { conversations } = await conversationService.getInbox(req.user._id, {
+      type: 'direct',
+      limit: req.query.limit || 50,
+      cursor: req.query.cursor,
+      archived: req.query.archived === 'true'
+    });
+
+    res.json({
       success: true,
-      data: message
+      data: conversations.filter(c => c.user).map(c => ({
+        _id: c.user._id.toString(),
+        conversationId: c._id,
+        user: c.user,
+        lastMessage: c.lastMessage,
+        unreadCount: c.unreadCount,
+        pinned: c.pinned,
+        archived: c.archived,
+        muted: c.muted,
+        mutedUntil: c.mutedUntil
+      }))
     });
   } catch (error) {
+    console.error('Error getting conversations:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -41,43 +119,24 @@ exports.sendMessage = async (req, res) => {
   }
 };
 
-// Get chat history between two users
-exports.getChatHistory = async (req, res) => {
+// Get the inbox: direct and group conversations, pinned first, then most
+// recent first. `archived=true` lists the archived ones instead.
+exports.getInbox = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-
-    const messages = await Message.find({
-      $or: [
-        { sender: req.user._id, receiver: userId, conversationType: 'direct' },
-        { sender: userId, receiver: req.user._id, conversationType: 'direct' }
-      ],
-      'deletedBy.userId': { $ne: req.user._id }
-    })
-      .populate('sender', 'name email avatar')
-      .populate('receiver', 'name email avatar')
-      .populate('replyTo.sender', 'name email avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const totalMessages = await Message.countDocuments({
-      $or: [
-        { sender: req.user._id, receiver: userId, conversationType: 'direct' },
-        { sender: userId, receiver: req.user._id, conversationType: 'direct' }
-      ],
-      'deletedBy.userId': { $ne: req.user._id }
+    const { cursor, limit, type } = req.query;
+    const { conversations, nextCursor } = await conversationService.getInbox(req.user._id, {
+      cursor,
+      limit,
+      type,
+      archived: req.query.archived === 'true'
     });
 
     res.json({
       success: true,
-      data: {
-        messages: messages.reverse(),
-        pagination: {
-          total: totalMessages,
-          page: parseInt(page),
-          pages: Math.ceil(totalMessages / limit)
-        }
+      data: conversations,
+      pagination: {
+        nextCursor,
+        hasMore: Boolean(nextCursor)
       }
     });
   } catch (error) {
@@ -88,56 +147,111 @@ exports.getChatHistory = async (req, res) => {
   }
 };
 
-// Get recent conversations
-exports.getConversations = async (req, res) => {
+// Search messages across the user's direct chats and groups
+exports.searchMessages = async (req, res) => {
+  try {
+    const { q, conversationId, senderId, type, from, to, limit, cursor } = req.query;
+
+    const result = await messageSearch.searchMessages(req.user._id, {
+      query: q,
+      conversationId,
+      senderId,
+      types: type ? type.split(',') : [],
+      from,
+      to,
+      limit,
+      cursor
+    });
+
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: {
+        nextCursor: result.nextCursor,
+        hasMore: Boolean(result.nextCursor)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Messages the user starred, newest first
+exports.getStarred = async (req, res) => {
   try {
-    console.log('Getting conversations for user:', req.user._id);
-
-    // First, find all unique users the current user has chatted with
-    const messages = await Message.find({
-      $or: [
-        { sender: req.user._id, conversationType: 'direct' },
-        { receiver: req.user._id, conversationType: 'direct' }
-      ],
-      'deletedBy.userId': { $ne: req.user._id }
-    })
-      .sort({ createdAt: -1 })
-      .populate('sender', 'name email avatar status')
-      .populate('receiver', 'name email avatar status')
-      .populate('replyTo.sender', 'name email avatar')
-      .limit(100);
-
-    console.log('Found messages:', messages.length);
-
-    // Group by conversation partner
-    const conversationMap = new Map();
-
-    messages.forEach(message => {
-      // Determine the other user (conversation partner)
-      const otherUserId = message.sender._id.toString() === req.user._id.toString()
-        ? message.receiver._id.toString()
-        : message.sender._id.toString();
-
-      // Only keep the most recent message per conversation
-      if (!conversationMap.has(otherUserId)) {
-        conversationMap.set(otherUserId, {
-          _id: otherUserId,
-          lastMessage: message
-        });
+    const { conversationId, type, limit, cursor } = req.query;
+
+    const result = await starredMessages.getStarred(req.user._id, {
+      conversationId,
+      types: type ? type.split(',') : [],
+      limit,
+      cursor
+    });
+
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: {
+        nextCursor: result.nextCursor,
+        hasMore: Boolean(result.nextCursor)
       }
     });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
-    // Convert map to array
-    const conversations = Array.from(conversationMap.values());
+// Changes since `since` (ISO date or epoch ms): new messages, edits,
+// deletions and reaction/status updates, for clients coming back online.
+// Further batches of the same sync pass `cursor`.
+exports.sync = async (req, res) => {
+  try {
+    const since = /^\d+$/.test(req.query.since)
+      ? new Date(Number(req.query.since))
+      : new Date(req.query.since);
 
-    console.log('Processed conversations:', conversations.length);
+    const { error, nextSince, nextCursor, hasMore, ...changes } = await syncService.getChangesSince(
+      req.user._id,
+      since,
+      req.query.limit,
+      req.query.cursor
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
     res.json({
       success: true,
-      data: conversations
+      data: changes,
+      nextSince,
+      nextCursor,
+      hasMore
     });
   } catch (error) {
-    console.error('Error getting conversations:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -150,17 +264,21 @@ exports.markAsRead = async (req, res) => {
   try {
     const { senderId } = req.body;
 
-    await Message.updateMany(
-      {
-        sender: senderId,
-        receiver: req.user._id,
-        status: { $ne: 'read' }
-      },
-      {
-        status: 'read',
-        readAt: Date.now()
-      }
-    );
+    // With read receipts off on either side the messages aren't touched, so
+    // the sender keeps seeing "delivered"; only the reader's last-read
+    // pointer moves
+    if (await privacy.readReceiptsEnabled(req.user._id, senderId)) {
+      await Message.updateMany(
+        {
+          sender: senderId,
+          receiver: req.user._id,
+          readAt: null
+        },
+        { status: 'read', readAt: Date.now() }
+      );
+    }
+
+    await conversationService.markDirectRead(req.user._id, senderId);
 
     res.json({
       success: true,
@@ -187,9 +305,21 @@ exports.uploadImage = async (req, res) => {
       });
     }
 
+    // Recorded so messages can attach it (by `url`) and it can be deleted later
+    const uploaded = await Upload.create({
+      uploadedBy: req.user._id,
+      type: req.uploadedImage.type,
+      url: req.uploadedImage.url,
+      thumbnail: req.uploadedImage.thumbnail || undefined,
+      fileName: req.uploadedImage.fileName,
+      fileSize: req.uploadedImage.size,
+      mimeType: req.uploadedImage.mimeType,
+      files: req.storedFiles
+    });
+
     res.json({
       success: true,
-      data: req.uploadedImage
+      data: { ...req.uploadedImage, uploadId: uploaded._id }
     });
   } catch (error) {
     res.status(500).json({
@@ -218,9 +348,19 @@ exports.uploadVoice = async (req, res) => {
       waveform = [];
     }
 
+    const uploaded = await Upload.create({
+      uploadedBy: req.user._id,
+      type: 'voice',
+      url: req.uploadedFile.url,
+      fileSize: req.uploadedFile.size,
+      mimeType: req.uploadedFile.mimeType,
+      files: req.storedFiles
+    });
+
     res.json({
       success: true,
       data: {
+        uploadId: uploaded._id,
         url: req.uploadedFile.url,
         duration,
         waveform,
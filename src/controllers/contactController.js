@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ContactRequest = require('../models/ContactRequest');
+const permissions = require('../services/permissions');
+const privacy = require('../services/privacy');
+
+// Populated users in contact requests, for privacy.hideAvatars
+const REQUEST_USER_PATHS = ['from', 'to'];
+
+// Get contact list
+exports.getContacts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('contacts', `name username email avatar bio status customStatus lastSeen ${privacy.PRIVACY_FIELDS}`);
+
+    res.json({
+      success: true,
+      data: await privacy.filterProfiles(user.contacts, req.user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Add a user to own contact list
+exports.addContact = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId is required'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot add yourself as a contact'
+      });
+    }
+
+    const contact = await User.findById(userId).select(`name email avatar bio status lastSeen ${privacy.PRIVACY_FIELDS}`);
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { contacts: contact._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact added',
+      data: (await privacy.filterProfiles([contact], req.user._id))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Remove a user from own contact list
+exports.removeContact = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { contacts: userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get pending contact requests (incoming by default)
+exports.getContactRequests = async (req, res) => {
+  try {
+    const { direction = 'incoming' } = req.query;
+
+    const query = direction === 'outgoing'
+      ? { from: req.user._id, status: 'pending' }
+      : { to: req.user._id, status: 'pending' };
+
+    const requests = await ContactRequest.find(query)
+      .populate('from', 'name email avatar bio')
+      .populate('to', 'name email avatar bio')
+      .sort({ createdAt: -1 });
+    await privacy.hideAvatars(requests, REQUEST_USER_PATHS, req.user._id);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Send a contact request
+exports.sendContactRequest = async (req, res) => {
+  try {
+    const { userId, message } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId is required'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot send a contact request to yourself'
+      });
+    }
+
+    const recipient = await User.findById(userId).select('contacts');
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await permissions.isBlocked(req.user._id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unable to send a contact request to this user'
+      });
+    }
+
+    if (recipient.hasContact(req.user._id) && req.user.hasContact(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already contacts'
+      });
+    }
+
+    const existing = await ContactRequest.findOne({
+      status: 'pending',
+      $or: [
+        { from: req.user._id, to: userId },
+        { from: userId, to: req.user._id }
+      ]
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.from.toString() === userId
+          ? 'This user already sent you a contact request'
+          : 'Contact request already sent',
+        data: existing
+      });
+    }
+
+    const request = await ContactRequest.create({
+      from: req.user._id,
+      to: userId,
+      message
+    });
+
+    await request.populate('from', 'name email avatar bio');
+
+    // Notify recipient live
+    req.app.get('io').to(userId).emit('contact:request',
+      await privacy.hideAvatars(request.toJSON(), REQUEST_USER_PATHS, userId));
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Load a pending request addressed to the current user
+const findIncomingRequest = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return ContactRequest.findOne({
+    _id: req.params.id,
+    to: req.user._id,
+    status: 'pending'
+  });
+};
+
+// Accept a contact request (both users become contacts)
+exports.acceptContactRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    request.status = 'accepted';
+    request.respondedAt = Date.now();
+    await request.save();
+
+    await User.findByIdAndUpdate(request.to, { $addToSet: { contacts: request.from } });
+    await User.findByIdAndUpdate(request.from, { $addToSet: { contacts: request.to } });
+
+    await request.populate('from', 'name email avatar bio');
+    await request.populate('to', 'name email avatar bio');
+
+    // Notify requester live
+    req.app.get('io').to(request.from._id.toString()).emit('contact:accepted',
+      await privacy.hideAvatars(request.toJSON(), REQUEST_USER_PATHS, request.from._id));
+    await privacy.hideAvatars(request, REQUEST_USER_PATHS, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Contact request accepted',
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Decline a contact request
+exports.declineContactRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    request.status = 'declined';
+    request.respondedAt = Date.now();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Contact request declined'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Cancel own outgoing contact request
+exports.cancelContactRequest = async (req, res) => {
+  try {
+    const request = mongoose.isValidObjectId(req.params.id) && await ContactRequest.findOne({
+      _id: req.params.id,
+      from: req.user._id,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact request not found'
+      });
+    }
+
+    request.status = 'cancelled';
+    request.respondedAt = Date.now();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Contact request cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
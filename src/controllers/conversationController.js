@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const disappearingMessages = require('../services/disappearingMessages');
+
+// Most conversations a user can pin
+const MAX_PINNED = 5;
+
+// How long each mute option lasts
+const MUTE_DURATIONS = {
+  '8h': 8 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+  forever: null
+};
+
+// Load the current user's side of the conversation in req.params.id
+const findParticipant = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return ConversationParticipant.findOne({
+    conversation: req.params.id,
+    user: req.user._id
+  });
+};
+
+const sendFlags = (res, participant, message) => {
+  res.json({
+    success: true,
+    message,
+    data: { _id: participant.conversation, ...participant.getFlags() }
+  });
+};
+
+// Pin or unpin a conversation
+exports.pinConversation = async (req, res) => {
+  try {
+    const { pinned } = req.body;
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'pinned must be a boolean'
+      });
+    }
+
+    const participant = await findParticipant(req);
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (pinned && !participant.pinnedAt) {
+      if (participant.archivedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unarchive the conversation before pinning it'
+        });
+      }
+
+      const pinnedCount = await ConversationParticipant.countDocuments({
+        user: req.user._id,
+        pinnedAt: { $ne: null }
+      });
+      if (pinnedCount >= MAX_PINNED) {
+        return res.status(400).json({
+          success: false,
+          message: `You can pin up to ${MAX_PINNED} conversations`
+        });
+      }
+      participant.pinnedAt = Date.now();
+    } else if (!pinned) {
+      participant.pinnedAt = null;
+    }
+
+    await participant.save();
+    sendFlags(res, participant, pinned ? 'Conversation pinned' : 'Conversation unpinned');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Archive or unarchive a conversation (archiving also unpins it)
+exports.archiveConversation = async (req, res) => {
+  try {
+    const { archived } = req.body;
+
+    if (typeof archived !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'archived must be a boolean'
+      });
+    }
+
+    const participant = await findParticipant(req);
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (archived) {
+      participant.archivedAt = participant.archivedAt || Date.now();
+      participant.pinnedAt = null;
+    } else {
+      participant.archivedAt = null;
+    }
+
+    await participant.save();
+    sendFlags(res, participant, archived ? 'Conversation archived' : 'Conversation unarchived');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Mute a conversation for 8h, 1w or forever; `duration: null` unmutes
+exports.muteConversation = async (req, res) => {
+  try {
+    const { duration } = req.body;
+
+    if (duration !== null && !Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, duration)) {
+      return res.status(400).json({
+        success: false,
+        message: `duration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')} (or null to unmute)`
+      });
+    }
+
+    const participant = await findParticipant(req);
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (duration === null) {
+      participant.mutedUntil = null;
+    } else if (duration === 'forever') {
+      participant.mutedUntil = ConversationParticipant.MUTE_FOREVER;
+    } else {
+      participant.mutedUntil = Date.now() + MUTE_DURATIONS[duration];
+    }
+
+    await participant.save();
+    sendFlags(res, participant, duration === null ? 'Conversation unmuted' : 'Conversation muted');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Turn disappearing messages on (`duration`: 24h, 7d or 90d) or off (null)
+exports.setDisappearingMessages = async (req, res) => {
+  try {
+    const { duration } = req.body;
+    const result = await disappearingMessages.setTimer(
+      req.app.get('io'),
+      req.user._id,
+      req.params.id,
+      duration === undefined ? null : duration
+    );
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.conversation.disappearingMessages.duration
+        ? 'Disappearing messages turned on'
+        : 'Disappearing messages turned off',
+      data: {
+        _id: result.conversation._id,
+        disappearingMessages: result.conversation.disappearingMessages.duration
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,6 +1,21 @@
 const Group = require('../models/Group');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const messagePagination = require('../services/messagePagination');
+const conversationService = require('../services/conversationService');
+const privacy = require('../services/privacy');
+
+// Populated users in group responses, for privacy.hideAvatars
+const GROUP_USER_PATHS = ['members.userId', 'createdBy'];
+
+// IDs (as strings) among `userIds` that have blocked `userId`
+const getUsersWhoBlocked = async (userId, userIds) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    blockedUsers: userId
+  }).select('_id');
+  return new Set(users.map(u => u._id.toString()));
+};
 
 // Create a new group
 exports.createGroup = async (req, res) => {
@@ -29,10 +44,14 @@ exports.createGroup = async (req, res) => {
       ]
     });
 
-    // Add other members if provided
+    // Add other members if provided (users who blocked the creator are skipped)
+    const notAdded = [];
     if (memberIds && Array.isArray(memberIds) && memberIds.length > 0) {
+      const blockedBy = await getUsersWhoBlocked(req.user._id, memberIds);
       for (const memberId of memberIds) {
-        if (memberId !== req.user._id.toString()) {
+        if (blockedBy.has(memberId)) {
+          notAdded.push(memberId);
+        } else if (memberId !== req.user._id.toString()) {
           group.members.push({
             userId: memberId,
             role: 'member',
@@ -44,12 +63,16 @@ exports.createGroup = async (req, res) => {
       await group.save();
     }
 
+    await conversationService.syncGroupParticipants(group);
+
     await group.populate('members.userId', 'name email avatar');
     await group.populate('createdBy', 'name email avatar');
+    await privacy.hideAvatars(group, GROUP_USER_PATHS, req.user._id);
 
     res.status(201).json({
       success: true,
-      data: group
+      data: group,
+      notAdded
     });
   } catch (error) {
     res.status(500).json({
@@ -70,6 +93,7 @@ exports.getUserGroups = async (req, res) => {
     .populate('createdBy', 'name email avatar')
     .populate('lastMessage')
     .sort({ updatedAt: -1 });
+    await privacy.hideAvatars(groups, GROUP_USER_PATHS, req.user._id);
 
     res.json({
       success: true,
@@ -105,9 +129,19 @@ exports.getGroupById = async (req, res) => {
       });
     }
 
+    // Only show the online status of members who let the caller see it
+    const memberIds = group.members.filter(m => m.userId).map(m => m.userId._id.toString());
+    const visibleOnline = new Set(await privacy.filterVisibleOnline(req.user._id, memberIds));
+    const data = await privacy.hideAvatars(group.toObject(), GROUP_USER_PATHS, req.user._id);
+    data.members.forEach(member => {
+      if (member.userId && !visibleOnline.has(member.userId._id.toString())) {
+        delete member.userId.status;
+      }
+    });
+
     res.json({
       success: true,
-      data: group
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -146,8 +180,15 @@ exports.addMembers = async (req, res) => {
       });
     }
 
-    // Add members
+    // Add members (users who blocked the adder are skipped)
+    const blockedBy = await getUsersWhoBlocked(req.user._id, memberIds);
+    const notAdded = [];
     for (const memberId of memberIds) {
+      if (blockedBy.has(memberId)) {
+        notAdded.push(memberId);
+        continue;
+      }
+
       // Check if already a member
       if (!group.isMember(memberId)) {
         // Check max members limit
@@ -168,11 +209,14 @@ exports.addMembers = async (req, res) => {
     }
 
     await group.save();
+    await conversationService.syncGroupParticipants(group);
     await group.populate('members.userId', 'name email avatar');
+    await privacy.hideAvatars(group, GROUP_USER_PATHS, req.user._id);
 
     res.json({
       success: true,
-      data: group
+      data: group,
+      notAdded
     });
   } catch (error) {
     res.status(500).json({
@@ -213,6 +257,7 @@ exports.removeMember = async (req, res) => {
 
     group.members = group.members.filter(m => m.userId.toString() !== memberId);
     await group.save();
+    await conversationService.syncGroupParticipants(group);
 
     res.json({
       success: true,
@@ -256,6 +301,7 @@ exports.updateGroup = async (req, res) => {
 
     await group.save();
     await group.populate('members.userId', 'name email avatar');
+    await privacy.hideAvatars(group, GROUP_USER_PATHS, req.user._id);
 
     res.json({
       success: true,
@@ -269,10 +315,9 @@ exports.updateGroup = async (req, res) => {
   }
 };
 
-// Get group messages
+// Get group messages (same cursor paging as chat history)
 exports.getGroupMessages = async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
     const group = await Group.findById(req.params.id);
 
     if (!group) {
@@ -290,31 +335,33 @@ exports.getGroupMessages = async (req, res) => {
       });
     }
 
-    const messages = await Message.find({
-      groupId: req.params.id,
-      conversationType: 'group'
-    })
-    .populate('sender', 'name email avatar')
-    .populate('replyTo.sender', 'name email avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-    const totalMessages = await Message.countDocuments({
-      groupId: req.params.id,
-      conversationType: 'group'
+    const page = await messagePagination.paginateMessages({
+      filter: {
+        groupId: group._id,
+        conversationType: 'group'
+      },
+      unreadFilter: {
+        sender: { $ne: req.user._id },
+        'readBy.userId': { $ne: req.user._id }
+      },
+      query: req.query,
+      populate: (query) => query
+        .populate('sender', 'name email avatar')
+        .populate('replyTo.sender', 'name email avatar')
     });
 
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        code: page.code,
+        message: page.error
+      });
+    }
+    await privacy.hideAvatars(page.messages, Message.USER_PATHS, req.user._id);
+
     res.json({
       success: true,
-      data: {
-        messages: messages.reverse(),
-        pagination: {
-          total: totalMessages,
-          page: parseInt(page),
-          pages: Math.ceil(totalMessages / limit)
-        }
-      }
+      data: page
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,223 @@
+const messageService = require('../services/messageService');
+
+// Respond with a messageService error ({ status, code, message })
+const sendError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+};
+
+// Edit a message (sender only, within 15 minutes)
+exports.editMessage = async (req, res) => {
+  try {
+    const result = await messageService.editMessage(
+      req.app.get('io'),
+      req.user._id,
+      req.params.id,
+      req.body.content
+    );
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Message edited',
+      data: result.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Earlier versions of an edited message
+exports.getEditHistory = async (req, res) => {
+  try {
+    const result = await messageService.getEditHistory(req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      data: result.history
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Delete a message for me (default) or for everyone (the sender within 1 hour,
+// or a group admin). `keepStarred=true` keeps it starred after deleting for me.
+exports.deleteMessage = async (req, res) => {
+  try {
+    const scope = req.query.scope || 'me';
+    const result = await messageService.deleteMessage(req.app.get('io'), req.user._id, req.params.id, scope, {
+      keepStarred: req.query.keepStarred === 'true'
+    });
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: scope === 'everyone' ? 'Message deleted for everyone' : 'Message deleted for you',
+      data: {
+        messageId: result.message._id,
+        deleteType: scope
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Add, change or remove (same emoji again) my reaction to a message
+exports.reactToMessage = async (req, res) => {
+  try {
+    const result = await messageService.reactToMessage(
+      req.app.get('io'),
+      req.user._id,
+      req.params.id,
+      req.body.emoji
+    );
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      data: {
+        messageId: result.message._id,
+        reactions: result.message.reactions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Pin a message to its conversation (`duration`: 24h, 7d or forever)
+exports.pinMessage = async (req, res) => {
+  try {
+    const result = await messageService.pinMessage(
+      req.app.get('io'),
+      req.user._id,
+      req.params.id,
+      req.body.duration || 'forever'
+    );
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Message pinned',
+      data: {
+        messageId: result.message._id,
+        pinnedAt: result.message.pinnedAt,
+        pinExpiresAt: result.message.pinExpiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unpin a message
+exports.unpinMessage = async (req, res) => {
+  try {
+    const result = await messageService.unpinMessage(req.app.get('io'), req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Message unpinned'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Messages pinned in a conversation
+exports.getPinnedMessages = async (req, res) => {
+  try {
+    const result = await messageService.getPinnedMessages(req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      data: result.messages
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Star a message
+exports.starMessage = async (req, res) => {
+  try {
+    const result = await messageService.starMessage(req.app.get('io'), req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Message starred'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unstar a message
+exports.unstarMessage = async (req, res) => {
+  try {
+    const result = await messageService.unstarMessage(req.app.get('io'), req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Message unstarred'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Forward messages (`messageIds`) to direct chats and groups (`targets`)
+exports.forwardMessages = async (req, res) => {
+  try {
+    const { messageIds, targets } = req.body;
+    const result = await messageService.forwardMessages(req.app.get('io'), req.user._id, { messageIds, targets });
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      data: result.results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
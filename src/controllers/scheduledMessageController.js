@@ -0,0 +1,86 @@
+const scheduledMessages = require('../services/scheduledMessages');
+
+// Respond with a service error ({ status, code, message })
+const sendError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+};
+
+// Schedule a direct or group message to be sent at `scheduledFor`
+exports.scheduleMessage = async (req, res) => {
+  try {
+    const result = await scheduledMessages.scheduleMessage(req.user._id, req.body);
+    if (result.error) return sendError(res, result.error);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message scheduled',
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List my scheduled messages (`status`, default pending)
+exports.listScheduled = async (req, res) => {
+  try {
+    const result = await scheduledMessages.listScheduled(req.user._id, { status: req.query.status });
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Change the text or time of a pending scheduled message
+exports.updateScheduled = async (req, res) => {
+  try {
+    const { content, scheduledFor } = req.body;
+    const result = await scheduledMessages.updateScheduled(req.user._id, req.params.id, { content, scheduledFor });
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Scheduled message updated',
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Cancel a pending scheduled message
+exports.cancelScheduled = async (req, res) => {
+  try {
+    const result = await scheduledMessages.cancelScheduled(req.user._id, req.params.id);
+    if (result.error) return sendError(res, result.error);
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled',
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,8 @@
 const User = require('../models/User');
+const permissions = require('../services/permissions');
+const privacy = require('../services/privacy');
+const userSearch = require('../services/userSearch');
+const statusService = require('../services/statusService');
 
 // Get current user profile
 exports.getProfile = async (req, res) => {
@@ -19,14 +23,38 @@ exports.getProfile = async (req, res) => {
 // Update user profile
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, bio, avatar } = req.body;
+    const { name, bio, avatar, username } = req.body;
     const user = await User.findById(req.user._id);
 
     if (name) user.name = name;
     if (bio) user.bio = bio;
     if (avatar) user.avatar = avatar;
+    // null or '' removes the username
+    if (username !== undefined && username !== null && typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username must be a string'
+      });
+    }
+    if (username !== undefined) user.username = username ? username.replace(/^@/, '') : undefined;
 
-    await user.save();
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.username) {
+        return res.status(409).json({
+          success: false,
+          message: 'Username is already taken'
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
     res.json({
       success: true,
@@ -41,26 +69,52 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
-// Search users by email
+// Search users by username, name or exact email (cursor paginated)
 exports.searchUsers = async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
+    // `email` is the legacy parameter name
+    const query = req.query.q || req.query.email;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (typeof query !== 'string' || !query.trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Email query parameter is required'
+        message: 'Search query parameter "q" is required'
       });
     }
 
-    const users = await User.find({
-      email: { $regex: email, $options: 'i' },
-      _id: { $ne: req.user._id } // Exclude current user
-    }).select('name email avatar bio status').limit(10);
+    if (query.trim().replace(/^@/, '').length < userSearch.MIN_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query must be at least ${userSearch.MIN_QUERY_LENGTH} characters`
+      });
+    }
+
+    const blockedUserIds = await permissions.getBlockedUserIds(req.user._id);
+
+    const { users, nextCursor } = await userSearch.searchUsers({
+      query,
+      excludeIds: [req.user._id.toString(), ...blockedUserIds], // Exclude current and blocked users
+      limit,
+      cursor: req.query.cursor
+    });
+
+    const profiles = users.map(user => {
+      const profile = privacy.filterProfile(user, req.user._id);
+      // Only reveal the email to someone who already typed it in full
+      if (user.rank !== userSearch.RANK.EXACT_EMAIL) {
+        delete profile.email;
+      }
+      return profile;
+    });
 
     res.json({
       success: true,
-      data: users
+      data: profiles,
+      pagination: {
+        nextCursor,
+        hasMore: !!nextCursor
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -73,7 +127,8 @@ exports.searchUsers = async (req, res) => {
 // Get user by ID
 exports.getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('name email avatar bio status lastSeen');
+    const user = await User.findById(req.params.id)
+      .select(`name username email avatar bio status customStatus lastSeen ${privacy.PRIVACY_FIELDS}`);
     
     if (!user) {
       return res.status(404).json({
@@ -82,9 +137,12 @@ exports.getUserById = async (req, res) => {
       });
     }
 
+    // Hide what privacy settings or a block don't allow the viewer to see
+    const blocked = await permissions.isBlocked(req.user._id, user._id);
+
     res.json({
       success: true,
-      data: user
+      data: privacy.filterProfile(user, req.user._id, blocked)
     });
   } catch (error) {
     res.status(500).json({
@@ -94,20 +152,126 @@ exports.getUserById = async (req, res) => {
   }
 };
 
-// Update user status
+// Update user status and/or custom status (validated in userRoutes)
 exports.updateStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, customStatus } = req.body;
     const user = await User.findById(req.user._id);
-    
-    user.status = status;
-    user.lastSeen = Date.now();
+
+    if (status !== undefined) {
+      user.status = status;
+      user.lastSeen = Date.now();
+    }
+
+    // null clears the custom status
+    if (customStatus === null) {
+      user.customStatus = undefined;
+    } else if (customStatus !== undefined) {
+      user.customStatus = {
+        emoji: customStatus.emoji || undefined,
+        text: customStatus.text || undefined,
+        expiresAt: customStatus.expiresAt || undefined,
+        updatedAt: Date.now()
+      };
+    }
+
     await user.save();
 
+    await statusService.broadcastStatus(req.app.get('io'), user._id);
+
     res.json({
       success: true,
       message: 'Status updated',
-      data: { status: user.status }
+      data: {
+        status: user.status,
+        customStatus: statusService.activeCustomStatus(user)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update privacy settings
+exports.updatePrivacy = async (req, res) => {
+  try {
+    const allowed = {
+      messages: ['everyone', 'contacts'],
+      calls: ['everyone', 'contacts'],
+      lastSeen: ['everyone', 'contacts', 'nobody'],
+      online: ['everyone', 'contacts', 'nobody'],
+      avatar: ['everyone', 'contacts', 'nobody'],
+      bio: ['everyone', 'contacts', 'nobody']
+    };
+
+    const user = await User.findById(req.user._id);
+
+    for (const setting of ['readReceipts', 'discoverable']) {
+      const value = req.body[setting];
+      if (value === undefined) continue;
+
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be a boolean`
+        });
+      }
+      user.privacy[setting] = value;
+    }
+
+    for (const [setting, values] of Object.entries(allowed)) {
+      const value = req.body[setting];
+      if (value === undefined) continue;
+
+      if (!values.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be one of: ${values.join(', ')}`
+        });
+      }
+      user.privacy[setting] = value;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated',
+      data: user.privacy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update chat settings
+exports.updateChatSettings = async (req, res) => {
+  try {
+    const { keepArchived } = req.body;
+
+    if (typeof keepArchived !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'keepArchived must be a boolean'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'chatSettings.keepArchived': keepArchived },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Chat settings updated',
+      data: user.chatSettings
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,35 @@
+const User = require('../models/User');
+const statusService = require('../services/statusService');
+
+const INTERVAL = 60 * 1000;
+
+// Clear custom statuses whose expiry has passed and tell contacts
+const clearExpiredStatuses = async (io) => {
+  const expired = await User.find({
+    'customStatus.expiresAt': { $lte: Date.now() }
+  }).select('_id');
+
+  for (const user of expired) {
+    // Only clear if it is still the same expired status
+    const result = await User.updateOne(
+      { _id: user._id, 'customStatus.expiresAt': { $lte: Date.now() } },
+      { $unset: { customStatus: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      await statusService.broadcastStatus(io, user._id);
+    }
+  }
+};
+
+// Start the periodic sweep
+const start = (io) => {
+  const timer = setInterval(() => {
+    clearExpiredStatuses(io).catch(error => {
+      console.error('Error clearing expired custom statuses:', error);
+    });
+  }, INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start, clearExpiredStatuses };
@@ -0,0 +1,24 @@
+const disappearingMessages = require('../services/disappearingMessages');
+
+const INTERVAL = 60 * 1000;
+
+// Start the periodic purge of expired disappearing messages
+const start = (io) => {
+  let running = false;
+  const timer = setInterval(() => {
+    // Skip a tick while a large purge is still running
+    if (running) return;
+    running = true;
+    disappearingMessages.purgeExpired(io)
+      .catch(error => {
+        console.error('Error purging expired messages:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start };
@@ -0,0 +1,28 @@
+const scheduledMessages = require('../services/scheduledMessages');
+
+const INTERVAL = 10 * 1000;
+
+// Send scheduled messages that are due. Runs once at startup so messages
+// that came due while the server was down go out right away.
+const start = (io) => {
+  let running = false;
+  const run = () => {
+    // Skip a tick while the previous run is still sending
+    if (running) return;
+    running = true;
+    scheduledMessages.deliverDue(io)
+      .catch(error => {
+        console.error('Error sending scheduled messages:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start };
@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
 const authenticate = async (req, res, next) => {
   try {
@@ -12,17 +11,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
+    const result = await sessionService.verifyAccessToken(token);
+
+    if (!result) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token. User not found.'
+        message: 'Invalid token. Session expired or revoked.'
       });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.sessionId = result.session._id.toString();
     next();
   } catch (error) {
     res.status(401).json({
@@ -0,0 +1,12 @@
+// Restrict a route to admins. Must run after authenticate.
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
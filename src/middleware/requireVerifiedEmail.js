@@ -0,0 +1,14 @@
+// Limit features to accounts that confirmed their email address.
+// Must run after authenticate.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+  next();
+};
+
+module.exports = requireVerifiedEmail;
@@ -56,7 +56,9 @@ const upload = multer({
   }
 });
 
-// Helper function to save file locally or to Cloudinary
+// Helper function to save file locally or to Cloudinary.
+// Returns { url, ref }: `ref` ({ folder, publicId, resourceType }) is where
+// the file is stored, for deleteFile.
 const saveFile = async (buffer, folder, filename) => {
   if (USE_LOCAL_STORAGE) {
     const uploadDir = path.join(__dirname, '../../uploads', folder);
@@ -69,7 +71,10 @@ const saveFile = async (buffer, folder, filename) => {
     fs.writeFileSync(filePath, buffer);
     
     const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    return `${baseUrl}/uploads/${folder}/${filename}`;
+    return {
+      url: `${baseUrl}/uploads/${folder}/${filename}`,
+      ref: { folder, publicId: filename }
+    };
   } else {
     // Upload to Cloudinary
     return new Promise((resolve, reject) => {
@@ -81,7 +86,10 @@ const saveFile = async (buffer, folder, filename) => {
         },
         (error, result) => {
           if (error) reject(error);
-          else resolve(result.secure_url);
+          else resolve({
+            url: result.secure_url,
+            ref: { folder, publicId: result.public_id, resourceType: result.resource_type }
+          });
         }
       );
       uploadStream.end(buffer);
@@ -132,10 +140,12 @@ const processAndUploadImage = async (req, res, next) => {
         
         const thumbnailFilename = `thumb_${uniqueFilename}`;
         
-        const [imageUrl, thumbnailUrl] = await Promise.all([
+        const [image, thumbnail] = await Promise.all([
           saveFile(compressedBuffer, 'images', uniqueFilename),
           saveFile(thumbnailBuffer, 'thumbnails', thumbnailFilename)
         ]);
+        const imageUrl = image.url;
+        const thumbnailUrl = thumbnail.url;
 
         console.log('✅ Upload successful:', imageUrl);
 
@@ -150,14 +160,18 @@ const processAndUploadImage = async (req, res, next) => {
           height: imageMetadata.height,
           size: compressedBuffer.length,
           format: imageMetadata.format,
-          type: 'image'
+          type: 'image',
+          mimeType: 'image/jpeg',
+          fileName: req.file.originalname
         };
+        req.storedFiles = [image.ref, thumbnail.ref];
 
         console.log('✅ Image processed successfully');
       } catch (sharpError) {
         console.error('⚠️ Sharp processing failed:', sharpError.message);
-        const imageUrl = await saveFile(req.file.buffer, 'images', uniqueFilename);
-        
+        const image = await saveFile(req.file.buffer, 'images', uniqueFilename);
+        const imageUrl = image.url;
+
         req.uploadedImage = {
           url: imageUrl,
           publicId: uniqueFilename,
@@ -167,13 +181,17 @@ const processAndUploadImage = async (req, res, next) => {
           height: null,
           size: req.file.size,
           format: path.extname(req.file.originalname).slice(1),
-          type: 'image'
+          type: 'image',
+          mimeType: req.file.mimetype,
+          fileName: req.file.originalname
         };
+        req.storedFiles = [image.ref];
       }
     } else {
       console.log('📁 Saving file...');
       const folder = isVideo ? 'videos' : 'documents';
-      const fileUrl = await saveFile(req.file.buffer, folder, uniqueFilename);
+      const file = await saveFile(req.file.buffer, folder, uniqueFilename);
+      const fileUrl = file.url;
 
       console.log('✅ Upload successful:', fileUrl);
 
@@ -187,8 +205,10 @@ const processAndUploadImage = async (req, res, next) => {
         size: req.file.size,
         format: path.extname(req.file.originalname).slice(1),
         type: isVideo ? 'video' : 'document',
+        mimeType: req.file.mimetype,
         fileName: req.file.originalname
       };
+      req.storedFiles = [file.ref];
 
       console.log('✅ File processed successfully');
     }
@@ -207,18 +227,37 @@ const processAndUploadImage = async (req, res, next) => {
   }
 };
 
-const deleteFile = async (publicId) => {
+const UPLOAD_ROOT = path.join(__dirname, '../../uploads');
+const UPLOAD_FOLDERS = ['images', 'videos', 'documents', 'thumbnails', 'voice'];
+
+// Path of a locally stored file, or null unless `fileName` is a plain file
+// name in one of the upload folders (no "..", no path separators)
+const localFilePath = (folder, fileName) => {
+  if (!UPLOAD_FOLDERS.includes(folder) || typeof fileName !== 'string') return null;
+  if (!fileName || fileName.includes('..') || /[\\/]/.test(fileName) || path.basename(fileName) !== fileName) {
+    return null;
+  }
+
+  const folderPath = path.join(UPLOAD_ROOT, folder);
+  const filePath = path.resolve(folderPath, fileName);
+  return filePath.startsWith(folderPath + path.sep) ? filePath : null;
+};
+
+// Remove an uploaded file: a file name in local storage (in `folder`, or any
+// upload folder), or a Cloudinary public ID (`resourceType` 'image', 'video'
+// or 'raw'). Only touches files under uploads/ or chatmail/.
+const deleteFile = async (publicId, resourceType = 'image', folder) => {
   try {
     if (USE_LOCAL_STORAGE) {
-      const folders = ['images', 'videos', 'documents', 'thumbnails', 'voice'];
-      for (const folder of folders) {
-        const filePath = path.join(__dirname, '../../uploads', folder, publicId);
-        if (fs.existsSync(filePath)) {
+      const folders = folder ? [folder] : UPLOAD_FOLDERS;
+      for (const candidate of folders) {
+        const filePath = localFilePath(candidate, publicId);
+        if (filePath && fs.existsSync(filePath)) {
           fs.unlinkSync(filePath);
         }
       }
-    } else if (cloudinary) {
-      await cloudinary.uploader.destroy(publicId);
+    } else if (cloudinary && typeof publicId === 'string' && publicId.startsWith('chatmail/')) {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     }
   } catch (error) {
     console.error('Error deleting file:', error);
@@ -244,7 +283,8 @@ const processAndUploadVoice = async (req, res, next) => {
     });
 
     const uniqueFilename = `voice_${crypto.randomBytes(16).toString('hex')}.webm`;
-    const voiceUrl = await saveFile(req.file.buffer, 'voice', uniqueFilename);
+    const voice = await saveFile(req.file.buffer, 'voice', uniqueFilename);
+    const voiceUrl = voice.url;
 
     console.log('✅ Voice upload successful:', voiceUrl);
 
@@ -253,8 +293,10 @@ const processAndUploadVoice = async (req, res, next) => {
       publicId: uniqueFilename,
       size: req.file.size,
       format: 'webm',
-      type: 'voice'
+      type: 'voice',
+      mimeType: req.file.mimetype
     };
+    req.storedFiles = [voice.ref];
 
     next();
   } catch (error) {
@@ -271,5 +313,6 @@ module.exports = {
   upload,
   processAndUploadImage,
   processAndUploadVoice,
+  deleteFile,
   deleteFromCloudinary: deleteFile
 };
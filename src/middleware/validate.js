@@ -0,0 +1,16 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with 400 if express-validator rules before it failed
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['login.locked', 'login.unlocked'],
+    required: true
+  },
+  // User the event is about (if known)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // User who triggered the event (e.g. the admin who unlocked)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  key: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const contactRequestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: [200, 'Message cannot exceed 200 characters'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+contactRequestSchema.index({ to: 1, status: 1, createdAt: -1 });
+contactRequestSchema.index({ from: 1, status: 1, createdAt: -1 });
+// Only one pending request per direction
+contactRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('ContactRequest', contactRequestSchema);
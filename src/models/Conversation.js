@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // `direct:<lowerUserId>:<higherUserId>` or `group:<groupId>`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The two users of a direct conversation
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Disappearing messages: new messages are deleted this long after sending
+  disappearingMessages: {
+    duration: {
+      type: String,
+      enum: ['24h', '7d', '90d', null],
+      default: null
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Stable key for a direct conversation, whichever user sends first
+conversationSchema.statics.directKey = function(userA, userB) {
+  const [low, high] = [userA.toString(), userB.toString()].sort();
+  return `direct:${low}:${high}`;
+};
+
+conversationSchema.statics.DISAPPEARING_DURATIONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+conversationSchema.statics.groupKey = function(groupId) {
+  return `group:${groupId}`;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
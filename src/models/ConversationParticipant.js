@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One user's view of a conversation: what they have read and their inbox
+// position. Kept per user so the inbox is a single indexed query.
+const conversationParticipantSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  // Last-read pointer: newest message the user has read, and when it was sent
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastReadMessageAt: {
+    type: Date
+  },
+  // Copied from the conversation to sort the inbox
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Per-user inbox state
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Muted while in the future; MUTE_FOREVER for "always"
+  mutedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+conversationParticipantSchema.statics.MUTE_FOREVER = new Date('9999-12-31T23:59:59.999Z');
+
+// Flags clients need to show the conversation and decide on notifications
+conversationParticipantSchema.methods.getFlags = function() {
+  const muted = Boolean(this.mutedUntil && this.mutedUntil > Date.now());
+  const forever = muted && this.mutedUntil.getTime() === this.constructor.MUTE_FOREVER.getTime();
+  return {
+    pinned: Boolean(this.pinnedAt),
+    archived: Boolean(this.archivedAt),
+    muted,
+    // null while muted forever
+    mutedUntil: muted && !forever ? this.mutedUntil : null
+  };
+};
+
+// Index for faster queries
+conversationParticipantSchema.index({ conversation: 1, user: 1 }, { unique: true });
+conversationParticipantSchema.index({ user: 1, lastMessageAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ConversationParticipant', conversationParticipantSchema);
@@ -54,6 +54,15 @@ const groupSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    onlyAdminsCanPinMessages: {
+      type: Boolean,
+      default: true
+    },
+    // Let members see earlier versions of edited messages
+    showEditHistory: {
+      type: Boolean,
+      default: true
+    },
     maxMembers: {
       type: Number,
       default: 256
@@ -74,6 +83,8 @@ const groupSchema = new mongoose.Schema({
 // Index for faster queries
 groupSchema.index({ 'members.userId': 1 });
 groupSchema.index({ createdBy: 1 });
+// Whether an uploaded file is a group avatar before deleting it
+groupSchema.index({ avatar: 1 });
 
 // Virtual for member count
 groupSchema.virtual('memberCount').get(function() {
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // 'account:<email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Number of lockouts in a row, each one lasts longer
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Self-service unlock link (account scope only)
+  unlockTokenHash: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
+  // Removed by MongoDB once the record has been quiet for a day
+  expireAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+
+// Method to check if key is locked
+loginAttemptSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > Date.now();
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -10,6 +10,10 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // ID the sending client gave the message, so retried sends aren't stored twice
+  clientMessageId: {
+    type: String
+  },
   // Group chat support
   conversationType: {
     type: String,
@@ -28,7 +32,8 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'video', 'file', 'voice', 'document', 'sticker'],
+    // 'system': notices created by the server, e.g. disappearing messages turned on
+    enum: ['text', 'image', 'video', 'file', 'voice', 'document', 'sticker', 'system'],
     default: 'text'
   },
   fileUrl: {
@@ -37,6 +42,11 @@ const messageSchema = new mongoose.Schema({
   fileName: {
     type: String
   },
+  // fileName split into words for text search ("q3_report.pdf" -> "q3 report pdf")
+  fileNameSearch: {
+    type: String,
+    select: false
+  },
   fileSize: {
     type: Number
   },
@@ -47,6 +57,11 @@ const messageSchema = new mongoose.Schema({
   thumbnail: {
     type: String
   },
+  // The upload fileUrl/thumbnail came from; attachments always have one
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
   // Voice message specific
   voiceDuration: {
     type: Number  // Duration in seconds
@@ -66,6 +81,23 @@ const messageSchema = new mongoose.Schema({
       ref: 'User'
     }
   },
+  // Forwarded copies: the message this was copied from and who originally
+  // wrote it (kept when a forwarded message is forwarded again)
+  forwardedFrom: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // How many forwards it took to get here
+  forwardCount: {
+    type: Number,
+    default: 0
+  },
   // Message editing
   isEdited: {
     type: Boolean,
@@ -100,6 +132,11 @@ const messageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // The sender, or the group admin who removed the message
+  deletedForEveryoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   deletedAt: {
     type: Date
   },
@@ -108,6 +145,9 @@ const messageSchema = new mongoose.Schema({
     enum: ['sent', 'delivered', 'read'],
     default: 'sent'
   },
+  deliveredAt: {
+    type: Date
+  },
   readAt: {
     type: Date
   },
@@ -121,6 +161,36 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Pinned to the top of its conversation, until pinExpiresAt (null: forever)
+  pinnedAt: {
+    type: Date
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinExpiresAt: {
+    type: Date
+  },
+  // Disappearing messages: purged (with their files) after this time
+  expiresAt: {
+    type: Date
+  },
+  // Users who starred the message. Not selected by default so one user's
+  // stars never reach the other participants.
+  starredBy: {
+    type: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      starredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   reactions: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -141,7 +211,56 @@ const messageSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for faster queries
-messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
+// Indexes for cursor paging, ordered by (createdAt, _id)
+messageSchema.index({ sender: 1, receiver: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+// One message per (sender, clientMessageId)
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+// Whether an upload is still attached to a message before deleting its files
+messageSchema.index({ upload: 1 }, { partialFilterExpression: { upload: { $exists: true } } });
+// Expired disappearing messages
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+// A user's starred messages, newest first
+messageSchema.index({ 'starredBy.userId': 1, createdAt: -1, _id: -1 });
+// Pending deliveries when a user connects
+messageSchema.index({ receiver: 1, status: 1 });
+// Changes since a point in time, for /sync, ordered by (updatedAt, _id)
+messageSchema.index({ sender: 1, updatedAt: 1, _id: 1 });
+messageSchema.index({ receiver: 1, updatedAt: 1, _id: 1 });
+messageSchema.index({ groupId: 1, updatedAt: 1, _id: 1 });
+// Full-text search over message text and file names
+messageSchema.index(
+  { content: 'text', fileNameSearch: 'text' },
+  { name: 'message_text_search', weights: { content: 2, fileNameSearch: 1 } }
+);
+
+// Paths that may hold a populated user, for privacy.hideAvatars
+messageSchema.statics.USER_PATHS = ['sender', 'receiver', 'replyTo.sender', 'forwardedFrom.sender', 'pinnedBy', 'reactions.userId'];
+
+// Attachment fields of a stored message (or scheduled message), to reuse the
+// same file in a copy. Clients attach files by upload instead, see
+// Upload.toAttachment.
+messageSchema.statics.attachmentFields = function(source) {
+  const attachment = {};
+  for (const field of ['upload', 'fileUrl', 'fileName', 'fileSize', 'mimeType', 'thumbnail']) {
+    if (source[field] !== undefined && source[field] !== null) attachment[field] = source[field];
+  }
+  return attachment;
+};
+
+messageSchema.statics.buildFileNameSearch = function(fileName) {
+  return fileName ? fileName.replace(/[_.\-+]+/g, ' ').trim() : undefined;
+};
+
+// Keep fileNameSearch in sync with fileName
+messageSchema.pre('save', function(next) {
+  if (this.isModified('fileName')) {
+    this.fileNameSearch = this.constructor.buildFileNameSearch(this.fileName);
+  }
+  next();
+});
 
 module.exports = mongoose.model('Message', messageSchema);
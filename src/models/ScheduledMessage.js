@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A message composed now and sent at scheduledFor by the scheduledMessages job
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationType: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  content: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['text', 'image', 'video', 'file', 'voice', 'document', 'sticker'],
+    default: 'text'
+  },
+  fileUrl: String,
+  fileName: String,
+  fileSize: Number,
+  mimeType: String,
+  thumbnail: String,
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
+  voiceDuration: Number,
+  voiceWaveform: [Number],
+  replyTo: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    content: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  // pending -> sending -> sent | failed; pending -> cancelled
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // When an instance claimed it for sending; a stale claim means that
+  // instance died mid-send and another one takes over
+  claimedAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // The message it became once sent
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  sentAt: {
+    type: Date
+  },
+  error: {
+    code: String,
+    message: String
+  }
+}, {
+  timestamps: true
+});
+
+// Due messages for the scheduler
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+// A user's scheduled messages
+scheduledMessageSchema.index({ sender: 1, status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
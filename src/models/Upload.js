@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A file uploaded through /api/chat/upload/*. Messages can only attach files
+// recorded here, and take the file details from the record rather than from
+// the client.
+const uploadSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['image', 'video', 'document', 'voice'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  thumbnail: String,
+  fileName: String,
+  fileSize: Number,
+  mimeType: String,
+  // Where the file (and its thumbnail) is stored, for deleting it later
+  files: [{
+    _id: false,
+    folder: String,
+    publicId: String,
+    resourceType: String
+  }]
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// Attachment fields of a message that uses this upload
+uploadSchema.methods.toAttachment = function() {
+  const attachment = { upload: this._id, fileUrl: this.url };
+  for (const field of ['fileName', 'fileSize', 'mimeType', 'thumbnail']) {
+    if (this[field] !== undefined && this[field] !== null) attachment[field] = this[field];
+  }
+  return attachment;
+};
+
+module.exports = mongoose.model('Upload', uploadSchema);
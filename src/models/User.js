@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -16,11 +17,25 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  // Optional unique @handle
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_.]{3,30}$/, 'Username must be 3-30 characters: letters, numbers, "_" or "."']
+  },
   name: {
     type: String,
     required: [true, 'Name is required'],
     trim: true
   },
+  // Normalized name and its word suffixes, for prefix search
+  searchNames: {
+    type: [String],
+    select: false
+  },
   avatar: {
     type: String,
     default: 'https://ui-avatars.com/api/?background=random'
@@ -30,6 +45,11 @@ const userSchema = new mongoose.Schema({
     maxlength: 150,
     default: 'Hey there! I am using ChatMail'
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   status: {
     type: String,
     enum: ['online', 'offline', 'busy', 'in-call'],
@@ -39,14 +59,180 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Slack-style custom status, e.g. 📅 "In a meeting" until 3pm
+  customStatus: {
+    emoji: {
+      type: String,
+      maxlength: 16
+    },
+    text: {
+      type: String,
+      maxlength: 100,
+      trim: true
+    },
+    expiresAt: {
+      type: Date
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
   contacts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Users this user has blocked
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privacy: {
+    // Who may reach this user: 'everyone' or only 'contacts'
+    messages: {
+      type: String,
+      enum: ['everyone', 'contacts'],
+      default: 'everyone'
+    },
+    calls: {
+      type: String,
+      enum: ['everyone', 'contacts'],
+      default: 'everyone'
+    },
+    // Who may see this user's profile details and presence
+    lastSeen: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    online: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    avatar: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    bio: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    // Off: no read receipts are sent or received in direct chats
+    readReceipts: {
+      type: Boolean,
+      default: true
+    },
+    // Off: user doesn't show up in user search
+    discoverable: {
+      type: Boolean,
+      default: true
+    }
+  },
+  chatSettings: {
+    // On: archived chats stay archived when a new message arrives
+    keepArchived: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Password reset
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting to be confirmed with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // ID of the outstanding login challenge; cleared once a code is accepted
+    // so the challenge token can't be used again
+    challengeId: {
+      type: String,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  }
 }, {
   timestamps: true
 });
 
+// Index for faster queries
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ searchNames: 1 });
+userSchema.index({ 'customStatus.expiresAt': 1 }, { sparse: true });
+// Whether an uploaded file is someone's avatar before deleting it
+userSchema.index({ avatar: 1 });
+
+// Lowercase a name and strip accents for searching
+userSchema.statics.normalizeName = function(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ');
+};
+
+// Full normalized name plus every suffix starting at a word,
+// so "Sunil Rathod" is found by both "sun" and "rath"
+userSchema.statics.buildSearchNames = function(name) {
+  const words = this.normalizeName(name).split(' ').filter(Boolean);
+  return words.map((word, i) => words.slice(i).join(' '));
+};
+
+// Keep search names in sync with name
+userSchema.pre('save', function(next) {
+  if (this.isModified('name') || !this.searchNames || this.searchNames.length === 0) {
+    this.searchNames = this.constructor.buildSearchNames(this.name);
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -59,4 +245,54 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if a user is in this user's contacts
+userSchema.methods.hasContact = function(userId) {
+  return this.contacts.some(c => (c._id || c).toString() === userId.toString());
+};
+
+// Method to check if this user has blocked another user
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(b => (b._id || b).toString() === userId.toString());
+};
+
+// Hash a raw email/reset token for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create email verification token (24 hours), returns the raw token to email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  return token;
+};
+
+// Create password reset token (1 hour), returns the raw token to email
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+  return token;
+};
+
+// Generate new recovery codes, store their hashes and return the raw codes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code, returns true if it was valid
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = this.constructor.hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 module.exports = mongoose.model('User', userSchema);
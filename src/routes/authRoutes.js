@@ -2,6 +2,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const authenticate = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
 
 const router = express.Router();
 
@@ -19,6 +20,22 @@ const loginValidation = [
 
 router.post('/register', registerValidation, authController.register);
 router.post('/login', loginValidation, authController.login);
+router.post('/login/2fa', authController.loginTwoFactor);
 router.post('/logout', authenticate, authController.logout);
+router.post('/refresh', authController.refresh);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', authenticate, authController.resendVerification);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticate, authController.enableTwoFactor);
+router.post('/2fa/disable', authenticate, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, authController.regenerateRecoveryCodes);
+router.post('/unlock/request', authController.requestUnlock);
+router.post('/unlock', authController.unlockAccount);
+router.post('/admin/unlock', authenticate, requireAdmin, authController.adminUnlock);
+router.get('/admin/audit-log', authenticate, requireAdmin, authController.getAuditLog);
 
 module.exports = router;
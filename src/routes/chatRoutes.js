@@ -1,15 +1,89 @@
 const express = require('express');
+const { query } = require('express-validator');
 const chatController = require('../controllers/chatController');
+const conversationController = require('../controllers/conversationController');
+const messageController = require('../controllers/messageController');
+const scheduledMessageController = require('../controllers/scheduledMessageController');
 const authenticate = require('../middleware/auth');
+const validate = require('../middleware/validate');
 const { upload, processAndUploadImage, processAndUploadVoice } = require('../middleware/upload');
+const Message = require('../models/Message');
 
 const router = express.Router();
 
+// Validation middleware
+const messageTypes = Message.schema.path('type').enumValues;
+const searchValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('q must be between 2 and 200 characters'),
+  query(['conversationId', 'senderId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID'),
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => messageTypes.includes(type)))
+    .withMessage(`type must be one or more of: ${messageTypes.join(', ')}`),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+const starredValidation = [
+  query('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID'),
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => messageTypes.includes(type)))
+    .withMessage(`type must be one or more of: ${messageTypes.join(', ')}`)
+];
+
+const syncValidation = [
+  query('since')
+    .custom(value => /^\d+$/.test(value) || !Number.isNaN(Date.parse(value)))
+    .withMessage('since must be an ISO 8601 date or a timestamp in milliseconds'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('limit must be between 1 and 500'),
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('cursor must be a string')
+];
+
 router.use(authenticate); // All routes require authentication
 
 router.post('/send', chatController.sendMessage);
 router.get('/history/:userId', chatController.getChatHistory);
 router.get('/conversations', chatController.getConversations);
+router.get('/inbox', chatController.getInbox);
+router.get('/search', searchValidation, validate, chatController.searchMessages);
+router.get('/sync', syncValidation, validate, chatController.sync);
+router.put('/conversations/:id/pin', conversationController.pinConversation);
+router.put('/conversations/:id/archive', conversationController.archiveConversation);
+router.put('/conversations/:id/mute', conversationController.muteConversation);
+router.put('/conversations/:id/disappearing', conversationController.setDisappearingMessages);
+router.get('/conversations/:id/pinned', messageController.getPinnedMessages);
+router.put('/messages/:id', messageController.editMessage);
+router.get('/messages/:id/history', messageController.getEditHistory);
+router.delete('/messages/:id', messageController.deleteMessage);
+router.post('/messages/:id/reactions', messageController.reactToMessage);
+router.put('/messages/:id/pin', messageController.pinMessage);
+router.delete('/messages/:id/pin', messageController.unpinMessage);
+router.post('/messages/:id/star', messageController.starMessage);
+router.delete('/messages/:id/star', messageController.unstarMessage);
+router.get('/starred', starredValidation, validate, chatController.getStarred);
+router.post('/forward', messageController.forwardMessages);
+router.post('/scheduled', scheduledMessageController.scheduleMessage);
+router.get('/scheduled', scheduledMessageController.listScheduled);
+router.put('/scheduled/:id', scheduledMessageController.updateScheduled);
+router.delete('/scheduled/:id', scheduledMessageController.cancelScheduled);
 router.put('/read', chatController.markAsRead);
 router.post('/upload/image', upload.single('image'), processAndUploadImage, chatController.uploadImage);
 router.post('/upload/voice', upload.single('voice'), processAndUploadVoice, chatController.uploadVoice);
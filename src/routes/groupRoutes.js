@@ -1,12 +1,13 @@
 const express = require('express');
 const groupController = require('../controllers/groupController');
 const authenticate = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 
 const router = express.Router();
 
 router.use(authenticate); // All routes require authentication
 
-router.post('/create', groupController.createGroup);
+router.post('/create', requireVerifiedEmail, groupController.createGroup);
 router.get('/my-groups', groupController.getUserGroups);
 router.get('/:id', groupController.getGroupById);
 router.post('/:id/members/add', groupController.addMembers);
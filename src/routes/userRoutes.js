@@ -1,15 +1,75 @@
 const express = require('express');
+const { body } = require('express-validator');
 const userController = require('../controllers/userController');
+const contactController = require('../controllers/contactController');
+const blockController = require('../controllers/blockController');
 const authenticate = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const User = require('../models/User');
 
 const router = express.Router();
 
+// Validation middleware
+const statusValidation = [
+  body('status')
+    .optional()
+    .isIn(User.schema.path('status').enumValues)
+    .withMessage(`Status must be one of: ${User.schema.path('status').enumValues.join(', ')}`),
+  body('customStatus')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('customStatus must be an object or null')
+    .custom(value => !!(value.emoji || value.text))
+    .withMessage('customStatus needs an emoji or text'),
+  body('customStatus.emoji')
+    .optional({ values: 'falsy' })
+    .isString()
+    .matches(/^(?=.*(\p{Extended_Pictographic}|\p{Regional_Indicator}))(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u)
+    .withMessage('customStatus.emoji must be an emoji')
+    .isLength({ max: 16 })
+    .withMessage('customStatus.emoji is too long'),
+  body('customStatus.text')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('customStatus.text must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('customStatus.text cannot exceed 100 characters'),
+  body('customStatus.expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('customStatus.expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > Date.now())
+    .withMessage('customStatus.expiresAt must be in the future'),
+  body()
+    .custom(value => value.status !== undefined || value.customStatus !== undefined)
+    .withMessage('status or customStatus is required')
+];
+
 router.use(authenticate); // All routes require authentication
 
 router.get('/profile', userController.getProfile);
 router.put('/profile', userController.updateProfile);
 router.get('/search', userController.searchUsers);
+router.put('/privacy', userController.updatePrivacy);
+router.put('/chat-settings', userController.updateChatSettings);
+
+// Contacts
+router.get('/contacts', contactController.getContacts);
+router.post('/contacts', contactController.addContact);
+router.get('/contacts/requests', contactController.getContactRequests);
+router.post('/contacts/requests', contactController.sendContactRequest);
+router.post('/contacts/requests/:id/accept', contactController.acceptContactRequest);
+router.post('/contacts/requests/:id/decline', contactController.declineContactRequest);
+router.delete('/contacts/requests/:id', contactController.cancelContactRequest);
+router.delete('/contacts/:userId', contactController.removeContact);
+
+// Blocks
+router.get('/blocks', blockController.getBlockedUsers);
+router.post('/blocks', blockController.blockUser);
+router.delete('/blocks/:userId', blockController.unblockUser);
+
 router.get('/:id', userController.getUserById);
-router.put('/status', userController.updateStatus);
+router.put('/status', statusValidation, validate, userController.updateStatus);
 
 module.exports = router;
@@ -0,0 +1,119 @@
+// Build conversations, participants and unread counts from existing messages.
+// Safe to run more than once.
+// Usage: npm run migrate:conversations
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const conversationService = require('../services/conversationService');
+
+// Direct chats: unread is what the user hasn't read yet (readAt), the
+// last-read pointer is the newest message they did read
+const backfillDirect = async () => {
+  const pairs = Message.aggregate([
+    { $match: { conversationType: { $ne: 'group' }, receiver: { $ne: null } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: {
+          low: { $min: ['$sender', '$receiver'] },
+          high: { $max: ['$sender', '$receiver'] }
+        },
+        lastMessage: { $first: '$_id' },
+        lastMessageAt: { $first: '$createdAt' }
+      }
+    }
+  ]).cursor();
+
+  let count = 0;
+  for await (const pair of pairs) {
+    const users = [pair._id.low, pair._id.high];
+    const conversation = await Conversation.findOneAndUpdate(
+      { key: Conversation.directKey(...users) },
+      {
+        $setOnInsert: { type: 'direct', users },
+        $set: { lastMessage: pair.lastMessage, lastMessageAt: pair.lastMessageAt }
+      },
+      { upsert: true, new: true }
+    );
+
+    for (const [userId, otherUserId] of [users, [...users].reverse()]) {
+      const [unreadCount, lastRead] = await Promise.all([
+        Message.countDocuments({ sender: otherUserId, receiver: userId, readAt: null, conversationType: { $ne: 'group' } }),
+        Message.findOne({ sender: otherUserId, receiver: userId, readAt: { $ne: null }, conversationType: { $ne: 'group' } })
+          .sort({ createdAt: -1, _id: -1 })
+          .select('createdAt')
+      ]);
+
+      await ConversationParticipant.updateOne(
+        { conversation: conversation._id, user: userId },
+        {
+          $set: {
+            type: 'direct',
+            unreadCount,
+            lastMessageAt: pair.lastMessageAt,
+            lastReadMessage: lastRead ? lastRead._id : null,
+            lastReadMessageAt: lastRead ? lastRead.createdAt : null
+          }
+        },
+        { upsert: true }
+      );
+    }
+    count++;
+  }
+  return count;
+};
+
+// Groups: earlier per-member read state wasn't recorded reliably, so group
+// history is treated as read
+const backfillGroups = async () => {
+  let count = 0;
+  for await (const group of Group.find().cursor()) {
+    const lastMessage = await Message.findOne({ conversationType: 'group', groupId: group._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('createdAt');
+
+    const conversation = await conversationService.getGroupConversation(group);
+    if (lastMessage) {
+      conversation.lastMessage = lastMessage._id;
+      conversation.lastMessageAt = lastMessage.createdAt;
+      await conversation.save();
+    }
+
+    await conversationService.syncGroupParticipants(group);
+    await ConversationParticipant.updateMany(
+      { conversation: conversation._id },
+      {
+        $set: {
+          unreadCount: 0,
+          lastMessageAt: conversation.lastMessageAt,
+          lastReadMessage: lastMessage ? lastMessage._id : null,
+          lastReadMessageAt: lastMessage ? lastMessage.createdAt : null
+        }
+      }
+    );
+    count++;
+  }
+  return count;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  await Conversation.syncIndexes();
+  await ConversationParticipant.syncIndexes();
+
+  const direct = await backfillDirect();
+  const groups = await backfillGroups();
+  console.log(`✅ Backfilled ${direct} direct and ${groups} group conversations`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// Mark accounts created before email verification existed as verified, so
+// they keep group creation and calls. Accounts registered since then have
+// emailVerified stored and are left alone.
+// Usage: npm run migrate:email-verified
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`✅ Marked ${result.modifiedCount} existing users as verified`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
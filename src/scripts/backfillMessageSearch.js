@@ -0,0 +1,35 @@
+// Fill Message.fileNameSearch for messages sent before message search existed
+// and build the text index.
+// Usage: npm run migrate:message-search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  let updated = 0;
+  const cursor = Message.find({
+    fileName: { $nin: [null, ''] },
+    fileNameSearch: { $exists: false }
+  }).select('fileName').cursor();
+
+  for await (const message of cursor) {
+    await Message.updateOne(
+      { _id: message._id },
+      { fileNameSearch: Message.buildFileNameSearch(message.fileName) }
+    );
+    updated++;
+  }
+
+  await Message.syncIndexes();
+  console.log(`✅ Updated file name search for ${updated} messages`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// Fill User.searchNames for accounts created before name search existed.
+// Usage: npm run migrate:user-search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  let updated = 0;
+  const cursor = User.find({
+    $or: [{ searchNames: { $exists: false } }, { searchNames: { $size: 0 } }]
+  }).select('name').cursor();
+
+  for await (const user of cursor) {
+    await User.updateOne(
+      { _id: user._id },
+      { searchNames: User.buildSearchNames(user.name) }
+    );
+    updated++;
+  }
+
+  await User.syncIndexes();
+  console.log(`✅ Updated search names for ${updated} users`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,12 +4,22 @@ const http = require('http');
 const cors = require('cors');
 const path = require('path');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const connectDB = require('./config/database');
+const { getRedisClient } = require('./config/redis');
 const socketHandler = require('./sockets/socketHandler');
+const customStatusExpiry = require('./jobs/customStatusExpiry');
+const scheduledMessages = require('./jobs/scheduledMessages');
+const disappearingMessages = require('./jobs/disappearingMessages');
 
 const app = express();
 const server = http.createServer(app);
 
+// Number of proxy hops to trust for req.ip (e.g. 1 behind a load balancer)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // CORS configuration - Allow multiple origins
 const allowedOrigins = [
   'http://localhost:4200',
@@ -57,6 +67,16 @@ const io = new Server(server, {
   }
 });
 
+// Share rooms across server instances through Redis, so io.to(userId)
+// reaches sockets connected to any instance
+const redisClient = getRedisClient();
+if (redisClient) {
+  io.adapter(createAdapter(redisClient, redisClient.duplicate()));
+}
+
+// Make io available to controllers via req.app.get('io')
+app.set('io', io);
+
 // Connect to MongoDB
 connectDB();
 
@@ -75,6 +95,11 @@ app.get('/health', (req, res) => {
 // Socket.IO handler
 socketHandler(io);
 
+// Background jobs
+customStatusExpiry.start(io);
+scheduledMessages.start(io);
+disappearingMessages.start(io);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
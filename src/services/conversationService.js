@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const permissions = require('./permissions');
+const privacy = require('./privacy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Works for both populated and plain references
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const encodeCursor = (participant) => Buffer.from(JSON.stringify({
+  t: participant.lastMessageAt.getTime(),
+  id: participant._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof t !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { lastMessageAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Find or create the conversation between two users
+const getDirectConversation = (userA, userB) => Conversation.findOneAndUpdate(
+  { key: Conversation.directKey(userA, userB) },
+  { $setOnInsert: { type: 'direct', users: [userA, userB] } },
+  { upsert: true, new: true }
+);
+
+// Find or create a group's conversation
+const getGroupConversation = (group) => Conversation.findOneAndUpdate(
+  { key: Conversation.groupKey(group._id) },
+  { $setOnInsert: { type: 'group', group: group._id, lastMessageAt: group.createdAt || Date.now() } },
+  { upsert: true, new: true }
+);
+
+// Messages belonging to a conversation
+const messageFilter = (conversation) => {
+  if (conversation.type === 'group') {
+    return { conversationType: 'group', groupId: conversation.group };
+  }
+  const [userA, userB] = conversation.users;
+  return {
+    conversationType: 'direct',
+    $or: [
+      { sender: userA, receiver: userB },
+      { sender: userB, receiver: userA }
+    ]
+  };
+};
+
+// New messages bring archived conversations back to the inbox, unless the
+// user chose to keep archived chats archived
+const unarchiveForNewMessage = async (conversationId, senderId) => {
+  const archived = await ConversationParticipant.find({
+    conversation: conversationId,
+    user: { $ne: senderId },
+    archivedAt: { $ne: null }
+  }).select('user');
+  if (archived.length === 0) return;
+
+  const keepArchived = new Set((await User.find({
+    _id: { $in: archived.map(p => p.user) },
+    'chatSettings.keepArchived': true
+  }).distinct('_id')).map(id => id.toString()));
+
+  const unarchive = archived.filter(p => !keepArchived.has(p.user.toString()));
+  if (unarchive.length > 0) {
+    await ConversationParticipant.updateMany(
+      { _id: { $in: unarchive.map(p => p._id) } },
+      { archivedAt: null }
+    );
+  }
+};
+
+// Update the conversation and its participants for a newly created message:
+// last message for everyone, one more unread message for everyone but the sender
+const recordMessage = async (message) => {
+  const senderId = idOf(message.sender);
+  const last = { lastMessage: message._id, lastMessageAt: message.createdAt };
+
+  let conversation;
+  if (message.conversationType === 'group') {
+    conversation = await Conversation.findOneAndUpdate(
+      { key: Conversation.groupKey(idOf(message.groupId)) },
+      { $setOnInsert: { type: 'group', group: idOf(message.groupId) }, $set: last },
+      { upsert: true, new: true }
+    );
+
+    await ConversationParticipant.bulkWrite([
+      {
+        updateMany: {
+          filter: { conversation: conversation._id, user: { $ne: senderId } },
+          update: { $set: { lastMessageAt: message.createdAt }, $inc: { unreadCount: 1 } }
+        }
+      },
+      {
+        updateOne: {
+          filter: { conversation: conversation._id, user: senderId },
+          update: { $set: { lastMessageAt: message.createdAt } }
+        }
+      }
+    ]);
+  } else {
+    const receiverId = idOf(message.receiver);
+    conversation = await Conversation.findOneAndUpdate(
+      { key: Conversation.directKey(senderId, receiverId) },
+      { $setOnInsert: { type: 'direct', users: [senderId, receiverId] }, $set: last },
+      { upsert: true, new: true }
+    );
+
+    await ConversationParticipant.bulkWrite([
+      {
+        updateOne: {
+          filter: { conversation: conversation._id, user: senderId },
+          update: { $setOnInsert: { type: 'direct' }, $set: { lastMessageAt: message.createdAt } },
+          upsert: true
+        }
+      },
+      {
+        updateOne: {
+          filter: { conversation: conversation._id, user: receiverId },
+          update: {
+            $setOnInsert: { type: 'direct' },
+            $set: { lastMessageAt: message.createdAt },
+            $inc: { unreadCount: 1 }
+          },
+          upsert: true
+        }
+      }
+    ]);
+  }
+
+  await unarchiveForNewMessage(conversation._id, senderId);
+  return conversation;
+};
+
+// Pinned/archived/muted flags of a conversation for each of `userIds`,
+// as a Map of userId -> flags
+const getParticipantFlags = async (conversationId, userIds) => {
+  const participants = await ConversationParticipant.find({
+    conversation: conversationId,
+    user: { $in: userIds }
+  });
+  return new Map(participants.map(p => [p.user.toString(), { _id: conversationId, ...p.getFlags() }]));
+};
+
+// Messages after the participant's last-read pointer
+const afterPointer = (participant) => ({
+  $or: [
+    { createdAt: { $gt: participant.lastReadMessageAt } },
+    { createdAt: participant.lastReadMessageAt, _id: { $gt: participant.lastReadMessage } }
+  ]
+});
+
+// Messages from others after the participant's last-read pointer
+const countUnreadAfterPointer = (filter, participant) => Message.countDocuments({
+  $and: [
+    filter,
+    { sender: { $ne: participant.user }, 'deletedBy.userId': { $ne: participant.user } },
+    afterPointer(participant)
+  ]
+});
+
+// Filter for the messages from `otherUserId` that the user hasn't read yet.
+// Goes by the user's last-read pointer: `readAt` on the message is only
+// written when read receipts are on.
+const directUnreadFilter = async (userId, otherUserId) => {
+  const conversation = await Conversation.findOne({ key: Conversation.directKey(userId, otherUserId) });
+  const participant = conversation &&
+    await ConversationParticipant.findOne({ conversation: conversation._id, user: userId });
+
+  if (!participant || !participant.lastReadMessageAt) {
+    return { sender: otherUserId };
+  }
+  return { $and: [{ sender: otherUserId }, afterPointer(participant)] };
+};
+
+// Move a user's last-read pointer forward to `upTo` (a message, defaults to
+// the newest one) and recount what is still unread after it.
+// Returns the participant, or null if the user isn't part of the conversation.
+const markRead = async (conversation, userId, upTo) => {
+  const participant = await ConversationParticipant.findOne({ conversation: conversation._id, user: userId });
+  if (!participant) return null;
+
+  const filter = messageFilter(conversation);
+  const pointer = upTo || await Message.findOne(filter).sort({ createdAt: -1, _id: -1 }).select('createdAt');
+
+  const isNewer = pointer && (!participant.lastReadMessageAt ||
+    pointer.createdAt > participant.lastReadMessageAt ||
+    (pointer.createdAt.getTime() === participant.lastReadMessageAt.getTime() &&
+      pointer._id.toString() > participant.lastReadMessage.toString()));
+  if (isNewer) {
+    participant.lastReadMessage = pointer._id;
+    participant.lastReadMessageAt = pointer.createdAt;
+  }
+
+  participant.unreadCount = participant.lastReadMessageAt
+    ? await countUnreadAfterPointer(filter, participant)
+    : 0;
+
+  await participant.save();
+  return participant;
+};
+
+// Mark a direct conversation read, up to `messageId` or entirely
+const markDirectRead = async (userId, otherUserId, messageId) => {
+  const conversation = await Conversation.findOne({ key: Conversation.directKey(userId, otherUserId) });
+  if (!conversation) return null;
+
+  const upTo = messageId && await Message.findOne({ $and: [messageFilter(conversation), { _id: messageId }] }).select('createdAt');
+  return markRead(conversation, userId, upTo || undefined);
+};
+
+// Mark a group conversation read, up to `messageId` or entirely
+const markGroupRead = async (userId, groupId, messageId) => {
+  const conversation = await Conversation.findOne({ key: Conversation.groupKey(groupId) });
+  if (!conversation) return null;
+
+  const upTo = messageId && await Message.findOne({ $and: [messageFilter(conversation), { _id: messageId }] }).select('createdAt');
+  return markRead(conversation, userId, upTo || undefined);
+};
+
+// After messages were removed from a conversation (e.g. disappearing
+// messages): point lastMessage at the newest one left and recount unread
+// messages for participants that had any
+const refreshAfterRemoval = async (conversation) => {
+  const filter = messageFilter(conversation);
+  const last = await Message.findOne(filter).sort({ createdAt: -1, _id: -1 }).select('_id');
+  conversation.lastMessage = last ? last._id : null;
+  await conversation.save();
+
+  const participants = await ConversationParticipant.find({
+    conversation: conversation._id,
+    unreadCount: { $gt: 0 }
+  });
+  for (const participant of participants) {
+    participant.unreadCount = participant.lastReadMessageAt
+      ? await countUnreadAfterPointer(filter, participant)
+      : await Message.countDocuments({
+        $and: [filter, { sender: { $ne: participant.user }, 'deletedBy.userId': { $ne: participant.user } }]
+      });
+    await participant.save();
+  }
+  return conversation;
+};
+
+// Keep a group's participants in line with its members. New members start
+// with nothing unread; removed members lose the conversation from their inbox.
+const syncGroupParticipants = async (group) => {
+  const conversation = await getGroupConversation(group);
+  const memberIds = group.members.map(m => idOf(m.userId));
+
+  const onInsert = { type: 'group', lastMessageAt: conversation.lastMessageAt };
+  if (conversation.lastMessage) {
+    onInsert.lastReadMessage = conversation.lastMessage;
+    onInsert.lastReadMessageAt = conversation.lastMessageAt;
+  }
+
+  if (memberIds.length > 0) {
+    await ConversationParticipant.bulkWrite(memberIds.map(userId => ({
+      updateOne: {
+        filter: { conversation: conversation._id, user: userId },
+        update: { $setOnInsert: onInsert },
+        upsert: true
+      }
+    })));
+  }
+
+  await ConversationParticipant.deleteMany({ conversation: conversation._id, user: { $nin: memberIds } });
+  return conversation;
+};
+
+const INBOX_POPULATE = {
+  path: 'conversation',
+  populate: [
+    { path: 'users', select: `name username email avatar bio status customStatus lastSeen ${privacy.PRIVACY_FIELDS}` },
+    { path: 'group', select: 'name avatar description members' },
+    { path: 'lastMessage', populate: { path: 'sender', select: 'name avatar' } }
+  ]
+};
+
+// One page of a user's inbox (direct and group conversations), most recent
+// first. Pinned conversations lead the first page. Archived conversations are
+// only listed with `archived: true`; `type` limits it to 'direct' or 'group'.
+// Returns { conversations, nextCursor }.
+const getInbox = async (userId, { cursor, limit, type, archived = false } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const filter = { user: userId, archivedAt: archived ? { $ne: null } : null };
+  if (type === 'direct' || type === 'group') {
+    filter.type = type;
+  }
+
+  // Pinned conversations come first, before any paging
+  let pinned = [];
+  if (!archived) {
+    if (!cursor) {
+      pinned = await ConversationParticipant.find({ ...filter, pinnedAt: { $ne: null } })
+        .sort({ pinnedAt: -1 })
+        .populate(INBOX_POPULATE);
+    }
+    filter.pinnedAt = null;
+  }
+
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    filter.$or = [
+      { lastMessageAt: { $lt: after.lastMessageAt } },
+      { lastMessageAt: after.lastMessageAt, _id: { $lt: after.id } }
+    ];
+  }
+
+  const participants = await ConversationParticipant.find(filter)
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate(INBOX_POPULATE);
+
+  const hasMore = participants.length > pageSize;
+  const page = participants.slice(0, pageSize);
+  await privacy.hideAvatars([...pinned, ...page], ['conversation.lastMessage.sender'], userId);
+  const blockedUserIds = new Set(await permissions.getBlockedUserIds(userId));
+
+  const conversations = [...pinned, ...page].filter(p => p.conversation).map(participant => {
+    const { conversation } = participant;
+    const item = {
+      _id: conversation._id,
+      type: conversation.type,
+      lastMessage: conversation.lastMessage,
+      lastMessageAt: participant.lastMessageAt,
+      unreadCount: participant.unreadCount,
+      lastReadMessage: participant.lastReadMessage,
+      disappearingMessages: conversation.disappearingMessages?.duration || null,
+      ...participant.getFlags()
+    };
+
+    if (conversation.type === 'group') {
+      item.group = conversation.group && {
+        _id: conversation.group._id,
+        name: conversation.group.name,
+        avatar: conversation.group.avatar,
+        description: conversation.group.description,
+        memberCount: conversation.group.members.length
+      };
+    } else {
+      const other = conversation.users.find(u => u && u._id.toString() !== userId.toString());
+      item.user = other && privacy.filterProfile(other, userId, blockedUserIds.has(other._id.toString()));
+    }
+    return item;
+  });
+
+  return {
+    conversations,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  getDirectConversation,
+  getGroupConversation,
+  messageFilter,
+  recordMessage,
+  getParticipantFlags,
+  markRead,
+  markDirectRead,
+  markGroupRead,
+  directUnreadFilter,
+  refreshAfterRemoval,
+  syncGroupParticipants,
+  getInbox
+};
@@ -0,0 +1,22 @@
+const Message = require('../models/Message');
+
+// Mark direct messages that were waiting for `userId` as delivered and send
+// each sender a `message:status`. Run whenever one of the user's devices connects.
+// Returns how many messages were delivered.
+exports.deliverPending = async (io, userId) => {
+  const pending = await Message.find({ receiver: userId, status: 'sent' }).select('_id sender');
+  if (pending.length === 0) return 0;
+
+  await Message.updateMany(
+    { _id: { $in: pending.map(m => m._id) }, status: 'sent' },
+    { status: 'delivered', deliveredAt: Date.now() }
+  );
+
+  for (const message of pending) {
+    io.to(message.sender.toString()).emit('message:status', {
+      messageId: message._id.toString(),
+      status: 'delivered'
+    });
+  }
+  return pending.length;
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Upload = require('../models/Upload');
+const User = require('../models/User');
+const permissions = require('./permissions');
+const conversationService = require('./conversationService');
+const messageService = require('./messageService');
+const { deleteFile } = require('../middleware/upload');
+
+// Messages purged per batch
+const PURGE_BATCH = 500;
+
+const DURATION_LABELS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '90d': '90 days'
+};
+
+// Same result shape as messageService: { error: { status, code, message } }
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+// Turn disappearing messages on for a conversation (`duration`: '24h', '7d'
+// or '90d') or off (null). Either side of a direct chat can change it; in
+// groups only admins. The change is announced in the chat as a system message
+// and applies to messages sent from then on.
+// Returns { conversation } or an error.
+const setTimer = async (io, userId, conversationId, duration) => {
+  const user = userId.toString();
+  if (duration !== null && !Object.prototype.hasOwnProperty.call(Conversation.DISAPPEARING_DURATIONS, duration)) {
+    return failure(400, 'INVALID_DURATION',
+      `duration must be one of: ${Object.keys(Conversation.DISAPPEARING_DURATIONS).join(', ')} (or null to turn off)`);
+  }
+
+  const conversation = mongoose.isValidObjectId(conversationId) && await Conversation.findById(conversationId);
+  const notFound = failure(404, 'CONVERSATION_NOT_FOUND', 'Conversation not found');
+  if (!conversation) return notFound;
+
+  let otherUserId = null;
+  if (conversation.type === 'group') {
+    const group = await Group.findById(conversation.group);
+    if (!group || !group.isMember(user)) return notFound;
+    if (!group.isAdmin(user)) {
+      return failure(403, 'ONLY_ADMINS', 'Only admins can change disappearing messages in this group');
+    }
+  } else {
+    if (!conversation.users.some(id => id.toString() === user)) return notFound;
+    otherUserId = conversation.users.find(id => id.toString() !== user).toString();
+
+    // The announcement is a message, so the same rules as messaging apply
+    const denied = await permissions.checkCanReach(user, otherUserId, 'messages');
+    if (denied) return failure(403, 'CANNOT_MESSAGE_USER', denied);
+  }
+
+  if ((conversation.disappearingMessages?.duration || null) === duration) {
+    return { conversation };
+  }
+
+  conversation.disappearingMessages = {
+    duration,
+    updatedBy: user,
+    updatedAt: Date.now()
+  };
+  await conversation.save();
+
+  const actor = await User.findById(user).select('name');
+  const content = duration
+    ? `${actor.name} turned on disappearing messages. New messages will disappear ${DURATION_LABELS[duration]} after they're sent.`
+    : `${actor.name} turned off disappearing messages.`;
+
+  const data = { content, type: 'text' };
+  const serverFields = { type: 'system' };
+  const announced = conversation.type === 'group'
+    ? await messageService.sendGroupMessage(io, user, { ...data, groupId: conversation.group.toString() }, serverFields)
+    : await messageService.sendDirectMessage(io, user, { ...data, receiverId: otherUserId }, serverFields);
+  if (announced.error) {
+    console.error('Error announcing disappearing messages change:', announced.error);
+  }
+
+  return { conversation };
+};
+
+// Delete an upload's files unless another message (e.g. a forwarded copy),
+// a scheduled message not sent yet or an avatar still uses them. Only
+// uploads recorded by the upload endpoints are deleted, from the storage
+// location saved at upload time; URLs in messages are never trusted for this.
+const deleteUnusedUpload = async (uploadId) => {
+  const upload = await Upload.findById(uploadId);
+  if (!upload) return;
+
+  const urls = [upload.url, upload.thumbnail].filter(Boolean);
+  const inUse = await Promise.all([
+    Message.exists({ upload: upload._id }),
+    ScheduledMessage.exists({ upload: upload._id, status: { $in: ['pending', 'sending'] } }),
+    User.exists({ avatar: { $in: urls } }),
+    Group.exists({ avatar: { $in: urls } })
+  ]);
+  if (inUse.some(Boolean)) return;
+
+  for (const file of upload.files) {
+    await deleteFile(file.publicId, file.resourceType, file.folder);
+  }
+  await upload.deleteOne();
+};
+
+// Conversation key of a message
+const conversationKey = (message) => (message.conversationType === 'group'
+  ? Conversation.groupKey(message.groupId)
+  : Conversation.directKey(message.sender, message.receiver));
+
+// Purge disappearing messages whose time is up: remove them from the
+// database, delete their files, fix up the affected conversations and send
+// `message:expired` ({ messageIds, groupId? }) to everyone in them.
+// Returns how many messages were purged.
+const purgeExpired = async (io) => {
+  let purged = 0;
+
+  for (;;) {
+    const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(PURGE_BATCH)
+      .select('sender receiver groupId conversationType upload');
+    if (expired.length === 0) break;
+
+    await Message.deleteMany({ _id: { $in: expired.map(m => m._id) } });
+    purged += expired.length;
+
+    const uploadIds = new Set(expired.filter(m => m.upload).map(m => m.upload.toString()));
+    for (const uploadId of uploadIds) {
+      await deleteUnusedUpload(uploadId);
+    }
+
+    const byConversation = new Map();
+    expired.forEach(m => {
+      const key = conversationKey(m);
+      if (!byConversation.has(key)) byConversation.set(key, []);
+      byConversation.get(key).push(m);
+    });
+
+    for (const [key, messages] of byConversation) {
+      const messageIds = messages.map(m => m._id.toString());
+      const conversation = await Conversation.findOne({ key });
+      if (conversation) {
+        await conversationService.refreshAfterRemoval(conversation);
+      }
+
+      const first = messages[0];
+      if (first.conversationType === 'group') {
+        await Group.updateOne(
+          { _id: first.groupId, lastMessage: { $in: messageIds } },
+          { lastMessage: conversation ? conversation.lastMessage : null }
+        );
+        const group = await Group.findById(first.groupId).select('members');
+        if (!group) continue;
+        io.to([`group_${group._id}`, ...group.members.map(m => m.userId.toString())]).emit('message:expired', {
+          messageIds,
+          groupId: group._id.toString()
+        });
+      } else {
+        io.to([first.sender.toString(), first.receiver.toString()]).emit('message:expired', { messageIds });
+      }
+    }
+
+    if (expired.length < PURGE_BATCH) break;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  setTimer,
+  purgeExpired
+};
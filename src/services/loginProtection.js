@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+
+// Failed login policy per scope:
+// - after `delayAfter` failures each attempt must wait 2^(n - delayAfter) seconds
+// - after `lockAfter` failures the key is locked, doubling with every lockout
+const POLICY = {
+  account: { delayAfter: 3, lockAfter: 10, lockMinutes: 15 },
+  ip: { delayAfter: 20, lockAfter: 50, lockMinutes: 15 }
+};
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MINUTES = 24 * 60;
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW = 15 * 60 * 1000;
+// Attempt records are dropped after a day without failures
+const RECORD_TTL = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Returns how a single record blocks the next attempt, or null
+const blockFor = (attempt) => {
+  if (!attempt) return null;
+
+  if (attempt.isLocked()) {
+    return {
+      status: 423,
+      scope: attempt.scope,
+      retryAfter: secondsUntil(attempt.lockedUntil),
+      message: attempt.scope === 'account'
+        ? 'Account temporarily locked due to too many failed login attempts'
+        : 'Too many failed login attempts from this network'
+    };
+  }
+
+  const { delayAfter } = POLICY[attempt.scope];
+  const recent = attempt.lastFailureAt && Date.now() - attempt.lastFailureAt.getTime() < FAILURE_WINDOW;
+  if (recent && attempt.failures >= delayAfter) {
+    const delaySeconds = Math.min(2 ** (attempt.failures - delayAfter), MAX_DELAY_SECONDS);
+    const nextAllowedAt = new Date(attempt.lastFailureAt.getTime() + delaySeconds * 1000);
+    if (nextAllowedAt > Date.now()) {
+      return {
+        status: 429,
+        scope: attempt.scope,
+        retryAfter: secondsUntil(nextAllowedAt),
+        message: 'Too many failed login attempts, please wait before trying again'
+      };
+    }
+  }
+
+  return null;
+};
+
+// Check whether a login attempt may proceed.
+// Returns null or { status: 423|429, retryAfter, message, scope }.
+exports.checkLogin = async ({ email, ip }) => {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] }
+  });
+
+  const blocks = attempts.map(blockFor).filter(Boolean);
+  if (blocks.length === 0) return null;
+
+  // Report the lock first, then the longest wait
+  blocks.sort((a, b) => (b.status - a.status) || (b.retryAfter - a.retryAfter));
+  return blocks[0];
+};
+
+// Count one failure atomically, so parallel attempts can't lose increments
+const incrementFailures = async (key, scope, now) => {
+  // Old failures have aged out (a no-op when a newer failure got in first)
+  await LoginAttempt.updateOne(
+    {
+      key,
+      lastFailureAt: { $lte: new Date(now - FAILURE_WINDOW) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date(now) } }]
+    },
+    { $set: { failures: 0 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now },
+    $max: { expireAt: new Date(now + RECORD_TTL) },
+    $setOnInsert: { scope }
+  };
+  try {
+    return await LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first failures raced to insert; the loser updates the winner's record
+    if (error.code !== 11000) throw error;
+    return LoginAttempt.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+const recordScopeFailure = async (key, scope, { userId, ip, userAgent }) => {
+  const now = Date.now();
+  const attempt = await incrementFailures(key, scope, now);
+
+  const { lockAfter, lockMinutes } = POLICY[scope];
+  if (!attempt || attempt.failures < lockAfter || attempt.isLocked()) return;
+
+  // Only the request that takes the lock (and starts the next lockout count) logs it
+  const minutes = Math.min(lockMinutes * 2 ** attempt.lockCount, MAX_LOCK_MINUTES);
+  const lockedUntil = now + minutes * 60 * 1000;
+  const locked = await LoginAttempt.findOneAndUpdate(
+    {
+      key,
+      lockCount: attempt.lockCount,
+      failures: { $gte: lockAfter },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date(now) } }]
+    },
+    {
+      $set: { lockedUntil, failures: 0, expireAt: lockedUntil + RECORD_TTL },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+  if (!locked) return;
+
+  await AuditLog.create({
+    event: 'login.locked',
+    user: userId,
+    key,
+    ip,
+    userAgent,
+    details: { scope, minutes, lockCount: locked.lockCount }
+  });
+};
+
+// Record a failed login for the account and the client IP
+exports.recordFailure = async ({ email, ip, userAgent, userId }) => {
+  const context = { userId, ip, userAgent };
+  await recordScopeFailure(accountKey(email), 'account', context);
+  if (ip) {
+    await recordScopeFailure(ipKey(ip), 'ip', context);
+  }
+};
+
+// Reset the account counter after a successful login
+exports.recordSuccess = async ({ email }) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+// Lift a lock on an account and/or IP. `actor` is who unlocked it.
+exports.unlock = async ({ email, ip, userId, actor, method }) => {
+  const keys = [];
+  if (email) keys.push(accountKey(email));
+  if (ip) keys.push(ipKey(ip));
+
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+  for (const attempt of attempts) {
+    const wasLocked = attempt.isLocked();
+    await attempt.deleteOne();
+
+    if (wasLocked) {
+      await AuditLog.create({
+        event: 'login.unlocked',
+        user: userId,
+        actor,
+        key: attempt.key,
+        details: { scope: attempt.scope, method }
+      });
+    }
+  }
+
+  return attempts.length;
+};
+
+// Create a self-service unlock token for a locked account, or null if not locked
+exports.createUnlockToken = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: accountKey(email) });
+  if (!attempt || !attempt.isLocked()) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  attempt.unlockTokenHash = hashToken(token);
+  attempt.unlockTokenExpires = Date.now() + 60 * 60 * 1000;
+  await attempt.save();
+  return token;
+};
+
+// Find the account key an unlock token belongs to, or null
+exports.findUnlockToken = async (token) => {
+  const attempt = await LoginAttempt.findOne({
+    unlockTokenHash: hashToken(token),
+    unlockTokenExpires: { $gt: Date.now() }
+  });
+  return attempt ? attempt.key.slice('account:'.length) : null;
+};
@@ -0,0 +1,73 @@
+const transports = {
+  smtp: require('./transports/smtpTransport'),
+  file: require('./transports/fileTransport'),
+  console: require('./transports/consoleTransport')
+};
+
+// Use SMTP when it is configured, otherwise print mail to the console
+const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+}
+
+let transport = transports[transportName]();
+
+console.log('📧 Mail transport:', transport.name.toUpperCase());
+
+const FROM = process.env.MAIL_FROM || 'ChatMail <no-reply@chatmail.app>';
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:4200';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Send a mail through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return transport.send({ from: FROM, to, subject, text, html: html || text });
+};
+
+// Swap the transport at runtime (e.g. a file transport in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your ChatMail email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your ChatMail password',
+    text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your account. Open this link to choose a new password:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you didn't request this, you can ignore this email.</p>`
+  });
+};
+
+const sendUnlockEmail = (user, token) => {
+  const link = `${APP_URL}/unlock-account?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Your ChatMail account was locked',
+    text: `Hi ${user.name},\n\nYour account was temporarily locked after too many failed login attempts. Open this link to unlock it now:\n${link}\n\nThe link expires in 1 hour. If these attempts weren't you, consider changing your password.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Your account was temporarily locked after too many failed login attempts. Open this link to unlock it now:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If these attempts weren't you, consider changing your password.</p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendUnlockEmail
+};
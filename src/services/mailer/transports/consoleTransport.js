@@ -0,0 +1,12 @@
+// Print mail to the console instead of sending it
+module.exports = () => ({
+  name: 'console',
+  send: async (mail) => {
+    console.log('📧 ---------- Outgoing mail ----------');
+    console.log(`To: ${mail.to}`);
+    console.log(`Subject: ${mail.subject}`);
+    console.log(mail.text);
+    console.log('📧 ----------------------------------');
+    return {};
+  }
+});
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write each mail as a JSON file, handy for local development and tests
+module.exports = () => {
+  const outDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../../../uploads/mail');
+
+  return {
+    name: 'file',
+    send: async (mail) => {
+      if (!fs.existsSync(outDir)) {
+        fs.mkdirSync(outDir, { recursive: true });
+      }
+
+      const filename = `${Date.now()}_${mail.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      const filePath = path.join(outDir, filename);
+      fs.writeFileSync(filePath, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+
+      console.log(`📧 Mail to ${mail.to} written to ${filePath}`);
+      return { filePath };
+    }
+  };
+};
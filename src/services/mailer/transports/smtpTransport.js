@@ -0,0 +1,19 @@
+const nodemailer = require('nodemailer');
+
+// Deliver mail through an SMTP server
+module.exports = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (mail) => transporter.sendMail(mail)
+  };
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Messages are ordered by (createdAt, _id) so messages sharing a timestamp
+// still have a stable position. Matches the compound indexes on Message.
+const olderThan = (anchor) => ({
+  $or: [
+    { createdAt: { $lt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { $lt: anchor._id } }
+  ]
+});
+
+const newerThan = (anchor, inclusive = false) => ({
+  $or: [
+    { createdAt: { $gt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { [inclusive ? '$gte' : '$gt']: anchor._id } }
+  ]
+});
+
+// Fetch up to `limit` messages on one side of the filter, one extra to know
+// whether there are more. Earlier versions of edited messages are left out;
+// they are only served by getEditHistory, which applies showEditHistory.
+const fetchSide = async (filter, direction, limit, populate) => {
+  const sort = direction === 'older' ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 };
+  const docs = await populate(Message.find(filter).sort(sort).limit(limit + 1).select('-editHistory'));
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  return { messages: direction === 'older' ? page.reverse() : page, hasMore };
+};
+
+// One page of a conversation's messages, oldest first.
+// - `filter` selects the conversation's messages
+// - `query.before` / `query.after`: message IDs to page older / newer from
+// - `query.around`: message ID (or `unread` for the first unread message,
+//   matched by `unreadFilter`) to open the conversation at, included in the page
+// - `populate(query)` adds populates to a Message query
+// Returns { messages, pagination } or { error } for an unknown cursor.
+exports.paginateMessages = async ({ filter, query, unreadFilter, populate = (q) => q }) => {
+  // Page numbers from before cursors; page 1 is still the latest page
+  if (query.page !== undefined && parseInt(query.page, 10) > 1) {
+    return {
+      error: 'Page numbers are no longer supported, use the before/after cursors',
+      code: 'PAGE_NOT_SUPPORTED'
+    };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const cursor = query.around || query.before || query.after;
+
+  let anchor = null;
+  if (cursor) {
+    if (query.around === 'unread') {
+      anchor = await Message.findOne({ $and: [filter, unreadFilter] })
+        .sort({ createdAt: 1, _id: 1 })
+        .select('createdAt');
+    } else {
+      if (!mongoose.isValidObjectId(cursor)) {
+        return { error: 'Invalid message cursor' };
+      }
+      anchor = await Message.findOne({ $and: [filter, { _id: cursor }] }).select('createdAt');
+      if (!anchor) {
+        return { error: 'Message not found in this conversation' };
+      }
+    }
+  }
+
+  let messages;
+  let hasMoreBefore = false;
+  let hasMoreAfter = false;
+
+  if (!anchor) {
+    // Latest messages (also `around=unread` with nothing unread)
+    ({ messages, hasMore: hasMoreBefore } = await fetchSide(filter, 'older', limit, populate));
+  } else if (query.around) {
+    // Half the page before the anchor, the anchor and the rest after it
+    const beforeCount = Math.floor(limit / 2);
+    const [older, newer] = await Promise.all([
+      fetchSide({ $and: [filter, olderThan(anchor)] }, 'older', beforeCount, populate),
+      fetchSide({ $and: [filter, newerThan(anchor, true)] }, 'newer', limit - beforeCount, populate)
+    ]);
+    messages = [...older.messages, ...newer.messages];
+    hasMoreBefore = older.hasMore;
+    hasMoreAfter = newer.hasMore;
+  } else if (query.before) {
+    ({ messages, hasMore: hasMoreBefore } = await fetchSide({ $and: [filter, olderThan(anchor)] }, 'older', limit, populate));
+    hasMoreAfter = true;
+  } else {
+    ({ messages, hasMore: hasMoreAfter } = await fetchSide({ $and: [filter, newerThan(anchor)] }, 'newer', limit, populate));
+    hasMoreBefore = true;
+  }
+
+  return {
+    messages,
+    pagination: {
+      limit,
+      anchor: query.around && anchor ? anchor._id : null,
+      // Pass as `before` / `after` to load the neighbouring pages
+      before: messages.length > 0 ? messages[0]._id : null,
+      after: messages.length > 0 ? messages[messages.length - 1]._id : null,
+      hasMoreBefore,
+      hasMoreAfter
+    }
+  };
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Conversation = require('../models/Conversation');
+const conversationService = require('./conversationService');
+const privacy = require('./privacy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (message) => Buffer.from(JSON.stringify({
+  t: message.createdAt.getTime(),
+  id: message._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof t !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Words to highlight: the query without negated words and search syntax
+const highlightTerms = (query) => query
+  .toLowerCase()
+  .split(/\s+/)
+  .filter(word => word && !word.startsWith('-'))
+  .map(word => word.replace(/["]/g, ''))
+  .filter(Boolean);
+
+// Cut `text` around the first match and return the [start, end) offsets of
+// every match inside the snippet. Matches are found at word starts so
+// stemmed hits ("meeting" for "meet") are highlighted too.
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})`, 'giu');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const matchStart = first.index + first[1].length;
+  const start = Math.max(0, matchStart - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matchStart + first[2].length + SNIPPET_CONTEXT);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  pattern.lastIndex = 0;
+  const window = text.slice(start, end);
+  let match;
+  while ((match = pattern.exec(window)) !== null) {
+    const offset = prefix.length + match.index + match[1].length;
+    highlights.push([offset, offset + match[2].length]);
+  }
+
+  return { text: snippet, highlights };
+};
+
+// Search the messages `userId` can see: their direct messages and messages
+// of groups they belong to, minus anything deleted for them or for everyone.
+// Filters: conversationId, senderId, types (array), from / to (dates).
+// Returns { results, nextCursor } newest first, or { error }.
+exports.searchMessages = async (userId, { query, conversationId, senderId, types, from, to, limit, cursor }) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const groupIds = await Group.find({ 'members.userId': userId }).distinct('_id');
+  const conditions = [
+    {
+      $or: [
+        { conversationType: { $ne: 'group' }, sender: userId },
+        { conversationType: { $ne: 'group' }, receiver: userId },
+        { conversationType: 'group', groupId: { $in: groupIds } }
+      ]
+    },
+    { deletedForEveryone: { $ne: true } },
+    { 'deletedBy.userId': { $ne: userId } }
+  ];
+
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    const canAccess = conversation && (conversation.type === 'group'
+      ? groupIds.some(id => id.equals(conversation.group))
+      : conversation.users.some(id => id.equals(userId)));
+    if (!canAccess) {
+      return { error: 'Conversation not found' };
+    }
+    conditions.push(conversationService.messageFilter(conversation));
+  }
+
+  if (senderId) conditions.push({ sender: senderId });
+  if (types && types.length > 0) conditions.push({ type: { $in: types } });
+  if (from) conditions.push({ createdAt: { $gte: new Date(from) } });
+  if (to) conditions.push({ createdAt: { $lte: new Date(to) } });
+
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    conditions.push({
+      $or: [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after.id } }
+      ]
+    });
+  }
+
+  const messages = await Message.find({ $text: { $search: query }, $and: conditions })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .select('-editHistory')
+    .populate('sender', 'name avatar')
+    .populate('receiver', 'name avatar')
+    .populate('groupId', 'name avatar');
+
+  const hasMore = messages.length > pageSize;
+  const page = await privacy.hideAvatars(messages.slice(0, pageSize), Message.USER_PATHS, userId);
+  const terms = highlightTerms(query);
+
+  return {
+    results: page.map(message => {
+      const contentSnippet = buildSnippet(message.content, terms);
+      const fileNameSnippet = !contentSnippet && buildSnippet(message.fileName, terms);
+      return {
+        message,
+        snippet: contentSnippet
+          ? { field: 'content', ...contentSnippet }
+          : fileNameSnippet
+            ? { field: 'fileName', ...fileNameSnippet }
+            : { field: 'content', text: message.content || message.fileName || '', highlights: [] }
+      };
+    }),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
@@ -0,0 +1,775 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Conversation = require('../models/Conversation');
+const Upload = require('../models/Upload');
+const permissions = require('./permissions');
+const privacy = require('./privacy');
+const conversationService = require('./conversationService');
+const presenceStore = require('./presenceStore');
+
+// Longest clientMessageId accepted (UUIDs and similar fit easily)
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+// Longest message text, for new messages and edits alike
+const MAX_CONTENT_LENGTH = 4096;
+// How long after sending a message can be edited / deleted for everyone
+const EDIT_WINDOW = 15 * 60 * 1000;
+// Most times one message can be edited, which bounds its editHistory
+const MAX_EDITS = 20;
+const DELETE_FOR_EVERYONE_WINDOW = 60 * 60 * 1000;
+const DELETE_SCOPES = ['me', 'everyone'];
+// How long a pin lasts; null pins forever
+const PIN_DURATIONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  forever: null
+};
+// Most messages pinned at once in one conversation
+const MAX_PINNED_MESSAGES = 3;
+// Most messages and chats one forward can cover
+const MAX_FORWARD_MESSAGES = 20;
+const MAX_FORWARD_TARGETS = 5;
+const REACTIONS = Message.schema.path('reactions').schema.path('emoji').enumValues;
+
+// Shared by the socket handlers and the HTTP routes so both enforce the same
+// rules and emit the same events. Functions return { message } on success or
+// { error: { status, code, message } }, where status is the HTTP status to use.
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+const populateMessage = async (message) => {
+  await message.populate('sender', 'name email avatar');
+  if (message.receiver) {
+    await message.populate('receiver', 'name email avatar');
+  }
+  if (message.replyTo?.messageId) {
+    await message.populate('replyTo.sender', 'name email avatar');
+  }
+  return message;
+};
+
+// Populate a message for `viewerId`, with avatars they may not see hidden
+const populateFor = async (message, viewerId) =>
+  privacy.hideAvatars(await populateMessage(message), Message.USER_PATHS, viewerId);
+
+// Plain copy of a populated message as `viewerId` may see it, for payloads
+// that go to someone else than the caller (null: a whole group)
+const viewOf = (message, viewerId) => privacy.hideAvatars(message.toJSON(), Message.USER_PATHS, viewerId);
+
+// Resolve a client ID to the message already stored for it, if any
+const findByClientMessageId = async (senderId, clientMessageId) => {
+  if (!clientMessageId) return null;
+  const existing = await Message.findOne({ sender: senderId, clientMessageId });
+  return existing && populateFor(existing, senderId);
+};
+
+const checkClientMessageId = (clientMessageId) => {
+  if (clientMessageId === undefined || clientMessageId === null) return null;
+  if (typeof clientMessageId !== 'string' || !clientMessageId.trim() ||
+      clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+    return failure(400, 'INVALID_CLIENT_MESSAGE_ID',
+      `clientMessageId must be a non-empty string of up to ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`);
+  }
+  return null;
+};
+
+// Text is required for text messages and optional (a caption) for the rest
+const checkContent = (type, content) => {
+  // System notices only come from the server
+  if (type === 'system') {
+    return failure(400, 'INVALID_MESSAGE', 'type system is reserved');
+  }
+  if (content === undefined || content === null || content === '') {
+    return type === 'text' ? failure(400, 'INVALID_MESSAGE', 'content is required') : null;
+  }
+  if (typeof content !== 'string') {
+    return failure(400, 'INVALID_MESSAGE', 'content must be a string');
+  }
+  if (type === 'text' && !content.trim()) {
+    return failure(400, 'INVALID_MESSAGE', 'content is required');
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return failure(400, 'MESSAGE_TOO_LONG', `content cannot exceed ${MAX_CONTENT_LENGTH} characters`);
+  }
+  return null;
+};
+
+// Start the disappearing-messages timer of a new message if its conversation
+// has one turned on (system notices stay)
+const applyDisappearingTimer = async (message, conversation) => {
+  const duration = conversation.disappearingMessages?.duration;
+  if (!duration || message.type === 'system') return;
+
+  message.expiresAt = new Date(message.createdAt.getTime() + Conversation.DISAPPEARING_DURATIONS[duration]);
+  await message.save();
+};
+
+// Create the message, or return the one a concurrent retry stored first.
+// Returns { message, duplicate } or an error for invalid message data.
+const createOnce = async (messageData) => {
+  try {
+    return { message: await Message.create(messageData), duplicate: false };
+  } catch (error) {
+    if (error.code === 11000 && messageData.clientMessageId) {
+      const existing = await findByClientMessageId(messageData.sender, messageData.clientMessageId);
+      if (existing) return { message: existing, duplicate: true };
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return failure(400, 'INVALID_MESSAGE', error.message);
+    }
+    throw error;
+  }
+};
+
+// Text, type and voice fields of a new message
+const contentFields = (data) => {
+  const { content, type = 'text', voiceDuration, voiceWaveform } = data;
+  const fields = { content, type };
+
+  // Add voice data if present
+  if (type === 'voice') {
+    if (voiceDuration) fields.voiceDuration = voiceDuration;
+    if (voiceWaveform && voiceWaveform.length > 0) fields.voiceWaveform = voiceWaveform;
+  }
+  return fields;
+};
+
+// Attachment of a new message: the sender's own upload named by `fileUrl`
+// (the URL /api/chat/upload/* returned). File name, size, type and thumbnail
+// come from the upload, so clients can't attach arbitrary links or misstate
+// what a file is. Returns { attachment } or an error.
+const resolveAttachment = async (senderId, { fileUrl }) => {
+  if (fileUrl === undefined || fileUrl === null || fileUrl === '') {
+    return { attachment: {} };
+  }
+
+  const upload = typeof fileUrl === 'string' &&
+    await Upload.findOne({ url: fileUrl, uploadedBy: senderId });
+  if (!upload) {
+    return failure(400, 'INVALID_ATTACHMENT', 'fileUrl must be a file you uploaded');
+  }
+  return { attachment: upload.toAttachment() };
+};
+
+// Send a direct message and deliver it to the receiver's devices.
+// A retry with a clientMessageId that was already used returns the stored
+// message with `duplicate: true` and sends nothing again.
+// `serverFields` are set by the server only (forward attribution, the
+// attachment of a forwarded or scheduled message).
+const sendDirectMessage = async (io, senderId, data = {}, serverFields = {}) => {
+  const { receiverId, content, type = 'text', replyTo, clientMessageId } = data;
+  const sender = senderId.toString();
+
+  const invalid = checkClientMessageId(clientMessageId);
+  if (invalid) return invalid;
+
+  const existing = await findByClientMessageId(sender, clientMessageId);
+  if (existing) return { message: existing, duplicate: true };
+
+  const badContent = checkContent(type, content);
+  if (badContent) return badContent;
+
+  const resolved = await resolveAttachment(sender, data);
+  if (resolved.error) return resolved;
+
+  if (!mongoose.isValidObjectId(receiverId)) {
+    return failure(404, 'RECEIVER_NOT_FOUND', 'Receiver not found');
+  }
+  const receiver = receiverId.toString();
+
+  const denied = await permissions.checkCanReach(sender, receiver, 'messages');
+  if (denied) {
+    return denied === 'User not found'
+      ? failure(404, 'RECEIVER_NOT_FOUND', 'Receiver not found')
+      : failure(403, 'CANNOT_MESSAGE_USER', denied);
+  }
+
+  const created = await createOnce({
+    sender,
+    receiver,
+    ...contentFields(data),
+    ...resolved.attachment,
+    conversationType: 'direct',
+    replyTo,
+    clientMessageId,
+    ...serverFields
+  });
+  if (created.error || created.duplicate) return created;
+
+  const { message } = created;
+  const conversation = await conversationService.recordMessage(message);
+  await applyDisappearingTimer(message, conversation);
+  const flags = await conversationService.getParticipantFlags(conversation._id, [receiver]);
+  await populateMessage(message);
+
+  // Send to all of the receiver's devices if online
+  if (await presenceStore.isOnline(receiver)) {
+    // Receiver's pinned/archived/muted flags, e.g. to skip notifications
+    io.to(receiver).emit('message:receive', {
+      ...(await viewOf(message, receiver)),
+      conversation: flags.get(receiver)
+    });
+
+    message.status = 'delivered';
+    message.deliveredAt = Date.now();
+    await message.save();
+
+    io.to(sender).emit('message:status', {
+      messageId: message._id.toString(),
+      status: 'delivered'
+    });
+  }
+
+  // Send confirmation to all of the sender's devices
+  await privacy.hideAvatars(message, Message.USER_PATHS, sender);
+  io.to(sender).emit('message:sent', message);
+
+  return { message, duplicate: false };
+};
+
+// Send a message to a group and deliver it to every other member's devices.
+// clientMessageId retries and `serverFields` behave as in sendDirectMessage.
+const sendGroupMessage = async (io, senderId, data = {}, serverFields = {}) => {
+  const { groupId, content, type = 'text', replyTo, clientMessageId } = data;
+  const sender = senderId.toString();
+
+  const invalid = checkClientMessageId(clientMessageId);
+  if (invalid) return invalid;
+
+  const existing = await findByClientMessageId(sender, clientMessageId);
+  if (existing) return { message: existing, duplicate: true };
+
+  const badContent = checkContent(type, content);
+  if (badContent) return badContent;
+
+  const resolved = await resolveAttachment(sender, data);
+  if (resolved.error) return resolved;
+
+  const group = mongoose.isValidObjectId(groupId) && await Group.findById(groupId);
+  if (!group) {
+    return failure(404, 'GROUP_NOT_FOUND', 'Group not found');
+  }
+
+  if (!group.isMember(sender)) {
+    return failure(403, 'NOT_A_MEMBER', 'You are not a member of this group');
+  }
+
+  if (group.settings.onlyAdminsCanPost && !group.isAdmin(sender)) {
+    return failure(403, 'ONLY_ADMINS_CAN_POST', 'Only admins can post in this group');
+  }
+
+  const created = await createOnce({
+    sender,
+    ...contentFields(data),
+    ...resolved.attachment,
+    conversationType: 'group',
+    groupId: group._id,
+    replyTo,
+    clientMessageId,
+    readBy: [{ userId: sender, readAt: Date.now() }],
+    ...serverFields
+  });
+  if (created.error || created.duplicate) return created;
+
+  const { message } = created;
+  const conversation = await conversationService.recordMessage(message);
+  await applyDisappearingTimer(message, conversation);
+  await populateMessage(message);
+
+  group.lastMessage = message._id;
+  await group.save();
+
+  // Send to all devices of the other group members, each with their own
+  // pinned/archived/muted flags
+  const memberIds = group.members
+    .map(m => m.userId.toString())
+    .filter(id => id !== sender);
+
+  const flags = await conversationService.getParticipantFlags(conversation._id, memberIds);
+  const payload = await viewOf(message, null);
+  memberIds.forEach(memberId => {
+    io.to(memberId).emit('group:message:receive', {
+      ...payload,
+      conversation: flags.get(memberId)
+    });
+  });
+
+  // Send confirmation to all of the sender's devices
+  await privacy.hideAvatars(message, Message.USER_PATHS, sender);
+  io.to(sender).emit('group:message:sent', message);
+
+  return { message, duplicate: false };
+};
+
+const isSameUser = (ref, userId) => Boolean(ref) && ref.toString() === userId;
+
+// Load a message `userId` may act on: a direct message they sent or received,
+// or a message of a group they are a member of, that they haven't deleted for
+// themselves (unless `includeDeletedForMe`). Returns { message, group } (group
+// is null for direct messages) or an error.
+const findMessageFor = async (userId, messageId, { includeDeletedForMe = false } = {}) => {
+  const message = mongoose.isValidObjectId(messageId) && await Message.findById(messageId);
+  const notFound = failure(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  if (!message || (!includeDeletedForMe && message.deletedBy.some(d => isSameUser(d.userId, userId)))) {
+    return notFound;
+  }
+
+  let group = null;
+  if (message.conversationType === 'group') {
+    group = await Group.findById(message.groupId);
+    if (!group || !group.isMember(userId)) return notFound;
+  } else if (!isSameUser(message.sender, userId) && !isSameUser(message.receiver, userId)) {
+    return notFound;
+  }
+
+  if (message.deletedForEveryone) {
+    return failure(410, 'MESSAGE_DELETED', 'This message was deleted');
+  }
+  return { message, group };
+};
+
+// Everyone who sees changes to a message: both sides of a direct chat, or the
+// group room plus every member's devices (members not viewing the group too)
+const audienceOf = (message, group) => {
+  if (group) {
+    return [`group_${group._id}`, ...group.members.map(m => m.userId.toString())];
+  }
+  return [message.sender, message.receiver]
+    .filter(Boolean)
+    .map(id => (id._id || id).toString());
+};
+
+const saveMessage = async (message) => {
+  try {
+    await message.save();
+    return null;
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return failure(400, 'INVALID_MESSAGE', error.message);
+    }
+    throw error;
+  }
+};
+
+// Edit a message's text. Only the sender can edit, within 15 minutes of sending
+// and up to MAX_EDITS times; the previous text is kept in editHistory.
+const editMessage = async (io, userId, messageId, content) => {
+  const user = userId.toString();
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+
+  if (!isSameUser(message.sender, user) || message.type === 'system') {
+    return failure(403, 'NOT_MESSAGE_SENDER', 'Only the sender can edit this message');
+  }
+
+  if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW) {
+    return failure(403, 'EDIT_WINDOW_EXPIRED', 'Edit time limit exceeded (15 minutes)');
+  }
+
+  if (message.editHistory.length >= MAX_EDITS) {
+    return failure(403, 'EDIT_LIMIT_REACHED', `A message can be edited up to ${MAX_EDITS} times`);
+  }
+
+  const badContent = checkContent(message.type, content);
+  if (badContent) return badContent;
+
+  message.editHistory.push({
+    content: message.content,
+    editedAt: Date.now()
+  });
+  message.content = content;
+  message.isEdited = true;
+  message.editedAt = Date.now();
+
+  const invalid = await saveMessage(message);
+  if (invalid) return invalid;
+
+  io.to(audienceOf(message, group)).emit('message:edited', {
+    messageId: message._id.toString(),
+    groupId: group ? group._id.toString() : undefined,
+    content: message.content,
+    isEdited: true,
+    editedAt: message.editedAt
+  });
+
+  return { message: await populateFor(message, user) };
+};
+
+// Delete a message for the user only (`scope: 'me'`, anyone who can see it) or
+// for everyone (`scope: 'everyone'`): the sender within an hour of sending, or
+// at any time a group admin for other members' messages. Who deleted it for
+// everyone is recorded in deletedForEveryoneBy.
+// Deleting for everyone removes all stars; deleting for me removes the user's
+// star unless `keepStarred` is set.
+const deleteMessage = async (io, userId, messageId, scope = 'me', { keepStarred = false } = {}) => {
+  const user = userId.toString();
+  if (!DELETE_SCOPES.includes(scope)) {
+    return failure(400, 'INVALID_SCOPE', `scope must be one of: ${DELETE_SCOPES.join(', ')}`);
+  }
+
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+  const payload = {
+    messageId: message._id.toString(),
+    groupId: group ? group._id.toString() : undefined,
+    deleteType: scope
+  };
+
+  if (scope === 'everyone') {
+    const isSender = isSameUser(message.sender, user);
+    const asAdmin = !isSender && Boolean(group) && group.isAdmin(user);
+
+    if (!isSender && !asAdmin) {
+      return failure(403, 'NOT_MESSAGE_SENDER', 'Only the sender or a group admin can delete this message for everyone');
+    }
+
+    if (isSender && Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW) {
+      return failure(403, 'DELETE_WINDOW_EXPIRED', 'Delete time limit exceeded (1 hour)');
+    }
+
+    message.deletedForEveryone = true;
+    message.deletedForEveryoneBy = user;
+    message.isDeleted = true;
+    message.deletedAt = Date.now();
+    message.content = asAdmin ? 'This message was deleted by an admin' : 'This message was deleted';
+    // Earlier versions would still show the deleted text
+    message.editHistory = [];
+    message.pinnedAt = null;
+    message.pinnedBy = null;
+    message.pinExpiresAt = null;
+    await message.save();
+    await Message.updateOne({ _id: message._id }, { $set: { starredBy: [] } }, { timestamps: false });
+
+    io.to(audienceOf(message, group)).emit('message:deleted', {
+      ...payload,
+      deletedBy: user,
+      byAdmin: asAdmin
+    });
+  } else {
+    message.deletedBy.push({
+      userId: user,
+      deletedAt: Date.now()
+    });
+    await message.save();
+    if (!keepStarred) {
+      await unstar(message._id, user);
+    }
+
+    // Only the user's own devices
+    io.to(user).emit('message:deleted', payload);
+  }
+
+  return { message };
+};
+
+// Earlier versions of an edited message, oldest first. Each entry has the
+// text it had and when it was replaced (`editedAt`). Visible to everyone in
+// the conversation, except in groups that turned showEditHistory off, where
+// only the sender sees it.
+const getEditHistory = async (userId, messageId) => {
+  const user = userId.toString();
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+
+  if (group && group.settings.showEditHistory === false && !isSameUser(message.sender, user)) {
+    return failure(403, 'EDIT_HISTORY_HIDDEN', 'Edit history is hidden in this group');
+  }
+
+  return {
+    history: {
+      messageId: message._id,
+      content: message.content,
+      createdAt: message.createdAt,
+      isEdited: message.isEdited,
+      editedAt: message.editedAt,
+      versions: message.editHistory.map(version => ({
+        content: version.content,
+        editedAt: version.editedAt
+      }))
+    }
+  };
+};
+
+// Forward messages to direct chats and groups. The copies reuse the original
+// files (fileUrl, thumbnail, voiceWaveform, ...) and record where they came
+// from in forwardedFrom, with forwardCount one higher than the original's.
+// Each copy goes through the normal send path, so blocks, privacy and
+// onlyAdminsCanPost are checked per target.
+// targets: [{ type: 'direct' | 'group', id }]
+// Returns { results } with one entry per target and message, or an error.
+const forwardMessages = async (io, userId, { messageIds, targets } = {}) => {
+  const user = userId.toString();
+
+  if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.length > MAX_FORWARD_MESSAGES) {
+    return failure(400, 'INVALID_FORWARD', `messageIds must list 1 to ${MAX_FORWARD_MESSAGES} messages`);
+  }
+  const validTarget = (t) => t && ['direct', 'group'].includes(t.type) && mongoose.isValidObjectId(t.id);
+  if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_FORWARD_TARGETS ||
+      !targets.every(validTarget)) {
+    return failure(400, 'INVALID_FORWARD',
+      `targets must list 1 to ${MAX_FORWARD_TARGETS} chats as { type: 'direct' | 'group', id }`);
+  }
+
+  const sources = [];
+  for (const messageId of new Set(messageIds.map(String))) {
+    const found = await findMessageFor(user, messageId);
+    if (found.error) return found;
+    sources.push(found.message);
+  }
+  // Keep the conversation's order in the copies
+  sources.sort((a, b) => a.createdAt - b.createdAt);
+
+  const results = [];
+  for (const target of targets) {
+    for (const source of sources) {
+      const data = contentFields(source);
+      const serverFields = {
+        ...Message.attachmentFields(source),
+        forwardedFrom: {
+          messageId: source._id,
+          sender: source.forwardedFrom?.sender || source.sender
+        },
+        forwardCount: (source.forwardCount || 0) + 1
+      };
+
+      const result = target.type === 'group'
+        ? await sendGroupMessage(io, user, { ...data, groupId: target.id }, serverFields)
+        : await sendDirectMessage(io, user, { ...data, receiverId: target.id }, serverFields);
+
+      results.push({
+        target: { type: target.type, id: target.id },
+        messageId: source._id,
+        success: !result.error,
+        ...(result.error
+          ? { error: { code: result.error.code, message: result.error.message } }
+          : { message: result.message })
+      });
+    }
+  }
+
+  return { results };
+};
+
+// Messages pinned in a conversation right now (pins past pinExpiresAt
+// no longer count)
+const activePinsFilter = () => ({
+  pinnedAt: { $ne: null },
+  deletedForEveryone: { $ne: true },
+  $or: [{ pinExpiresAt: null }, { pinExpiresAt: { $gt: new Date() } }]
+});
+
+// Pin a message to its conversation for `duration` ('24h', '7d' or 'forever').
+// Either side of a direct chat can pin; in groups only admins when
+// onlyAdminsCanPinMessages is on. Pinning a pinned message changes its expiry.
+const pinMessage = async (io, userId, messageId, duration = 'forever') => {
+  const user = userId.toString();
+  if (!Object.prototype.hasOwnProperty.call(PIN_DURATIONS, duration)) {
+    return failure(400, 'INVALID_DURATION', `duration must be one of: ${Object.keys(PIN_DURATIONS).join(', ')}`);
+  }
+
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+
+  if (group && group.settings.onlyAdminsCanPinMessages && !group.isAdmin(user)) {
+    return failure(403, 'ONLY_ADMINS_CAN_PIN', 'Only admins can pin messages in this group');
+  }
+
+  const conversation = await Conversation.findOne({
+    key: group ? Conversation.groupKey(group._id) : Conversation.directKey(message.sender, message.receiver)
+  });
+  const isPinned = message.pinnedAt && (!message.pinExpiresAt || message.pinExpiresAt > Date.now());
+  if (!isPinned && conversation) {
+    const pinnedCount = await Message.countDocuments({
+      $and: [conversationService.messageFilter(conversation), activePinsFilter()]
+    });
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      return failure(400, 'TOO_MANY_PINNED', `You can pin up to ${MAX_PINNED_MESSAGES} messages per chat`);
+    }
+  }
+
+  message.pinnedAt = Date.now();
+  message.pinnedBy = user;
+  message.pinExpiresAt = PIN_DURATIONS[duration] === null ? null : Date.now() + PIN_DURATIONS[duration];
+  await message.save();
+
+  io.to(audienceOf(message, group)).emit('message:pinned', {
+    messageId: message._id.toString(),
+    groupId: group ? group._id.toString() : undefined,
+    pinnedBy: user,
+    pinnedAt: message.pinnedAt,
+    pinExpiresAt: message.pinExpiresAt
+  });
+
+  return { message };
+};
+
+// Unpin a message (same permissions as pinning)
+const unpinMessage = async (io, userId, messageId) => {
+  const user = userId.toString();
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+
+  if (group && group.settings.onlyAdminsCanPinMessages && !group.isAdmin(user)) {
+    return failure(403, 'ONLY_ADMINS_CAN_PIN', 'Only admins can unpin messages in this group');
+  }
+
+  if (message.pinnedAt) {
+    message.pinnedAt = null;
+    message.pinnedBy = null;
+    message.pinExpiresAt = null;
+    await message.save();
+
+    io.to(audienceOf(message, group)).emit('message:unpinned', {
+      messageId: message._id.toString(),
+      groupId: group ? group._id.toString() : undefined,
+      unpinnedBy: user
+    });
+  }
+
+  return { message };
+};
+
+// Messages currently pinned in a conversation the user is part of, most
+// recently pinned first. Returns { messages } or an error.
+const getPinnedMessages = async (userId, conversationId) => {
+  const user = userId.toString();
+  const conversation = mongoose.isValidObjectId(conversationId) && await Conversation.findById(conversationId);
+
+  let canAccess = false;
+  if (conversation && conversation.type === 'group') {
+    const group = await Group.findById(conversation.group).select('members');
+    canAccess = Boolean(group) && group.isMember(user);
+  } else if (conversation) {
+    canAccess = conversation.users.some(id => isSameUser(id, user));
+  }
+  if (!canAccess) {
+    return failure(404, 'CONVERSATION_NOT_FOUND', 'Conversation not found');
+  }
+
+  const messages = await Message.find({
+    $and: [
+      conversationService.messageFilter(conversation),
+      activePinsFilter(),
+      { 'deletedBy.userId': { $ne: user } }
+    ]
+  })
+    .sort({ pinnedAt: -1 })
+    .select('-editHistory')
+    .populate('sender', 'name email avatar')
+    .populate('pinnedBy', 'name avatar');
+
+  return { messages: await privacy.hideAvatars(messages, Message.USER_PATHS, user) };
+};
+
+// Stars are private, so changing them doesn't touch updatedAt (which /sync
+// reports to every participant)
+const unstar = (messageId, userId) => Message.updateOne(
+  { _id: messageId },
+  { $pull: { starredBy: { userId } } },
+  { timestamps: false }
+);
+
+// Star a message for `userId` (starring twice keeps the first starredAt).
+// Messages the user deleted for themselves but kept starred can't be starred
+// again, only unstarred.
+const starMessage = async (io, userId, messageId) => {
+  const user = userId.toString();
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message } = found;
+
+  const starredAt = new Date();
+  await Message.updateOne(
+    { _id: message._id, 'starredBy.userId': { $ne: user } },
+    { $push: { starredBy: { userId: user, starredAt } } },
+    { timestamps: false }
+  );
+
+  // Keep the user's other devices in sync
+  io.to(user).emit('message:starred', { messageId: message._id.toString(), starredAt });
+  return { message };
+};
+
+const unstarMessage = async (io, userId, messageId) => {
+  const user = userId.toString();
+  const found = await findMessageFor(user, messageId, { includeDeletedForMe: true });
+  if (found.error) return found;
+  const { message } = found;
+
+  await unstar(message._id, user);
+
+  io.to(user).emit('message:unstarred', { messageId: message._id.toString() });
+  return { message };
+};
+
+// Toggle a reaction. Each user has at most one reaction per message, so a new
+// emoji replaces the previous one and the same emoji again removes it.
+const reactToMessage = async (io, userId, messageId, emoji) => {
+  const user = userId.toString();
+  if (!REACTIONS.includes(emoji)) {
+    return failure(400, 'INVALID_REACTION', `emoji must be one of: ${REACTIONS.join(' ')}`);
+  }
+
+  const found = await findMessageFor(user, messageId);
+  if (found.error) return found;
+  const { message, group } = found;
+
+  const existingReaction = message.reactions.find(
+    r => isSameUser(r.userId, user) && r.emoji === emoji
+  );
+
+  message.reactions = message.reactions.filter(r => !isSameUser(r.userId, user));
+  if (!existingReaction) {
+    message.reactions.push({
+      userId: user,
+      emoji,
+      createdAt: Date.now()
+    });
+  }
+
+  await message.save();
+  await message.populate('reactions.userId', 'name avatar');
+
+  // Reactions list users, so each side of a direct chat gets its own copy
+  const emitReaction = async (room, viewer) => {
+    const view = await viewOf(message, viewer);
+    io.to(room).emit('message:reaction', {
+      messageId: message._id.toString(),
+      groupId: group ? group._id.toString() : undefined,
+      reactions: view.reactions,
+      updatedBy: user
+    });
+  };
+  if (group) {
+    await emitReaction(audienceOf(message, group), null);
+  } else {
+    for (const viewer of audienceOf(message, null)) {
+      await emitReaction(viewer, viewer);
+    }
+  }
+
+  return { message: await privacy.hideAvatars(message, Message.USER_PATHS, user) };
+};
+
+module.exports = {
+  checkContent,
+  contentFields,
+  resolveAttachment,
+  populateMessage,
+  sendDirectMessage,
+  sendGroupMessage,
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  forwardMessages,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  starMessage,
+  unstarMessage,
+  reactToMessage
+};
@@ -0,0 +1,54 @@
+const User = require('../models/User');
+
+// Check whether either user has blocked the other
+exports.isBlocked = async (userA, userB) => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA }
+    ]
+  });
+  return !!blocked;
+};
+
+// IDs of users hidden from `userId` by a block in either direction
+exports.getBlockedUserIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers'),
+    User.find({ blockedUsers: userId }).select('_id')
+  ]);
+
+  const ids = new Set((user?.blockedUsers || []).map(id => id.toString()));
+  blockedBy.forEach(u => ids.add(u._id.toString()));
+  return Array.from(ids);
+};
+
+// Check whether `senderId` may reach `receiverId` directly.
+// kind: 'messages' or 'calls'. Returns null if allowed, otherwise the reason.
+exports.checkCanReach = async (senderId, receiverId, kind) => {
+  const [sender, receiver] = await Promise.all([
+    User.findById(senderId).select('blockedUsers'),
+    User.findById(receiverId).select('privacy contacts blockedUsers')
+  ]);
+
+  if (!receiver) {
+    return 'User not found';
+  }
+
+  if (sender?.hasBlocked(receiverId)) {
+    return 'Unblock this user first';
+  }
+
+  // Don't reveal the block to the blocked user
+  if (receiver.hasBlocked(senderId)) {
+    return kind === 'calls' ? 'Unable to call this user' : 'Unable to message this user';
+  }
+
+  if (receiver.privacy?.[kind] === 'contacts' && !receiver.hasContact(senderId)) {
+    return kind === 'calls'
+      ? 'This user only accepts calls from contacts'
+      : 'This user only accepts messages from contacts';
+  }
+
+  return null;
+};
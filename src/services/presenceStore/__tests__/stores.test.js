@@ -0,0 +1,229 @@
+const Redis = require('ioredis-mock');
+const memoryStore = require('../stores/memoryStore');
+const redisStore = require('../stores/redisStore');
+
+const ringingCall = () => ({
+  callId: 'call1',
+  caller: 'alice',
+  receiver: 'bob',
+  type: 'video',
+  status: 'ringing',
+  participants: ['alice', 'bob'],
+  sockets: { alice: 'a1' }
+});
+
+// Every store must behave the same
+const backends = {
+  memory: {
+    create: () => memoryStore(),
+    close: () => {}
+  },
+  redis: {
+    create: () => redisStore({ client: new Redis() }),
+    close: (store) => store.close()
+  }
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+  // ioredis-mock clients share one keyspace
+  await new Redis().flushall();
+});
+
+describe.each(Object.keys(backends))('%s store', (backend) => {
+  let store;
+
+  beforeEach(() => {
+    store = backends[backend].create();
+  });
+
+  afterEach(() => {
+    backends[backend].close(store);
+  });
+
+  describe('presence', () => {
+    it('counts sockets per user', async () => {
+      expect(await store.addSocket('alice', 'a1')).toBe(1);
+      expect(await store.addSocket('alice', 'a2')).toBe(2);
+      expect(await store.addSocket('alice', 'a2')).toBe(2);
+      expect(await store.isOnline('alice')).toBe(true);
+    });
+
+    it('keeps a user online until the last socket is removed', async () => {
+      await store.addSocket('alice', 'a1');
+      await store.addSocket('alice', 'a2');
+
+      expect(await store.removeSocket('alice', 'a1')).toBe(1);
+      expect(await store.isOnline('alice')).toBe(true);
+
+      expect(await store.removeSocket('alice', 'a2')).toBe(0);
+      expect(await store.isOnline('alice')).toBe(false);
+    });
+
+    it('ignores removing an unknown socket', async () => {
+      expect(await store.removeSocket('alice', 'a1')).toBe(0);
+      expect(await store.isOnline('alice')).toBe(false);
+    });
+
+    it('lists online users', async () => {
+      await store.addSocket('alice', 'a1');
+      await store.addSocket('bob', 'b1');
+      await store.addSocket('carol', 'c1');
+      await store.removeSocket('carol', 'c1');
+
+      expect((await store.getOnlineUserIds()).sort()).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('calls', () => {
+    it('saves and reads calls', async () => {
+      await store.saveCall(ringingCall());
+
+      expect(await store.getCall('call1')).toEqual(ringingCall());
+      expect(await store.getCall('missing')).toBeNull();
+    });
+
+    it('finds calls by participant', async () => {
+      await store.saveCall(ringingCall());
+
+      expect(await store.getCallsByUser('bob')).toEqual([ringingCall()]);
+      expect(await store.getCallsByUser('carol')).toEqual([]);
+    });
+
+    it('lets the receiver accept a ringing call once', async () => {
+      await store.saveCall(ringingCall());
+
+      const accepted = await store.acceptCall('call1', 'bob', 'b2');
+      expect(accepted.status).toBe('ongoing');
+      expect(accepted.sockets).toEqual({ alice: 'a1', bob: 'b2' });
+
+      expect(await store.acceptCall('call1', 'bob', 'b1')).toBeNull();
+      expect((await store.getCall('call1')).sockets.bob).toBe('b2');
+    });
+
+    it('does not let anyone but the receiver accept', async () => {
+      await store.saveCall(ringingCall());
+
+      expect(await store.acceptCall('call1', 'alice', 'a1')).toBeNull();
+      expect(await store.acceptCall('missing', 'bob', 'b1')).toBeNull();
+      expect((await store.getCall('call1')).status).toBe('ringing');
+    });
+
+    it('removes a call and returns it', async () => {
+      await store.saveCall(ringingCall());
+
+      expect(await store.removeCall('call1')).toEqual(ringingCall());
+      expect(await store.getCall('call1')).toBeNull();
+      expect(await store.getCallsByUser('alice')).toEqual([]);
+      expect(await store.removeCall('call1')).toBeNull();
+    });
+
+    it('only removes a call in the expected status', async () => {
+      await store.saveCall(ringingCall());
+      await store.acceptCall('call1', 'bob', 'b1');
+
+      expect(await store.removeCall('call1', 'ringing')).toBeNull();
+      expect(await store.getCall('call1')).not.toBeNull();
+      expect((await store.removeCall('call1', 'ongoing')).status).toBe('ongoing');
+    });
+
+    it('returns copies that callers can change safely', async () => {
+      await store.saveCall(ringingCall());
+
+      const call = await store.getCall('call1');
+      call.status = 'ended';
+      call.sockets.bob = 'b1';
+
+      expect(await store.getCall('call1')).toEqual(ringingCall());
+    });
+  });
+});
+
+describe('redis store across nodes', () => {
+  let stores;
+
+  const createNode = (nodeId, onUsersOffline) => {
+    const store = redisStore({ client: new Redis(), nodeId, onUsersOffline });
+    stores.push(store);
+    return store;
+  };
+
+  // What Redis does once the node's heartbeat TTL runs out
+  const killNode = async (store, nodeId) => {
+    store.close();
+    await new Redis().del(`chatmail:presence:alive:${nodeId}`);
+  };
+
+  beforeEach(() => {
+    stores = [];
+  });
+
+  afterEach(() => {
+    stores.forEach(store => store.close());
+  });
+
+  it('shares presence and calls between nodes', async () => {
+    const nodeA = createNode('a');
+    const nodeB = createNode('b');
+
+    await nodeA.addSocket('alice', 'a1');
+    await nodeB.addSocket('alice', 'a2');
+    await nodeA.saveCall(ringingCall());
+
+    expect(await nodeB.isOnline('alice')).toBe(true);
+    expect(await nodeB.removeSocket('alice', 'a2')).toBe(1);
+    expect((await nodeB.acceptCall('call1', 'bob', 'b1')).status).toBe('ongoing');
+    expect((await nodeA.getCall('call1')).sockets.bob).toBe('b1');
+  });
+
+  it('removes the sockets of a dead node and reports who went offline', async () => {
+    const onUsersOffline = jest.fn();
+    const nodeA = createNode('a');
+    const nodeB = createNode('b', onUsersOffline);
+    await Promise.all([nodeA.tick(), nodeB.tick()]);
+
+    await nodeA.addSocket('alice', 'a1');
+    await nodeA.addSocket('bob', 'b1');
+    await nodeB.addSocket('bob', 'b2');
+
+    await killNode(nodeA, 'a');
+    await nodeB.tick();
+
+    expect(await nodeB.getOnlineUserIds()).toEqual(['bob']);
+    expect(await nodeB.removeSocket('bob', 'b2')).toBe(0);
+    expect(onUsersOffline).toHaveBeenCalledTimes(1);
+    expect(onUsersOffline).toHaveBeenCalledWith(['alice']);
+  });
+
+  it('sweeps a dead node only once', async () => {
+    const onUsersOfflineB = jest.fn();
+    const onUsersOfflineC = jest.fn();
+    const nodeA = createNode('a');
+    const nodeB = createNode('b', onUsersOfflineB);
+    const nodeC = createNode('c', onUsersOfflineC);
+    await Promise.all([nodeA.tick(), nodeB.tick(), nodeC.tick()]);
+
+    await nodeA.addSocket('alice', 'a1');
+    await killNode(nodeA, 'a');
+    await Promise.all([nodeB.tick(), nodeC.tick()]);
+
+    expect(onUsersOfflineB.mock.calls.length + onUsersOfflineC.mock.calls.length).toBe(1);
+    expect(await nodeB.isOnline('alice')).toBe(false);
+  });
+
+  it('leaves live nodes alone', async () => {
+    const onUsersOffline = jest.fn();
+    const nodeA = createNode('a');
+    const nodeB = createNode('b', onUsersOffline);
+    await Promise.all([nodeA.tick(), nodeB.tick()]);
+
+    await nodeA.addSocket('alice', 'a1');
+    await nodeB.tick();
+
+    expect(await nodeB.isOnline('alice')).toBe(true);
+    expect(onUsersOffline).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+const { getRedisClient } = require('../../config/redis');
+
+const stores = {
+  memory: require('./stores/memoryStore'),
+  redis: require('./stores/redisStore')
+};
+
+// Where online sockets and active calls are kept. Use Redis when it is
+// configured so several server instances share the same state.
+//
+// A store implements (all async):
+// - addSocket(userId, socketId) / removeSocket(userId, socketId): sockets the user has after the change
+// - isOnline(userId), getOnlineUserIds()
+// - saveCall(call), getCall(callId), getCallsByUser(userId)
+// - acceptCall(callId, userId, socketId): mark a ringing call answered by that socket, or null
+// - removeCall(callId, onlyIfStatus): the removed call, or null
+//
+// A store that can drop sockets by itself (the Redis store, for nodes that
+// died) reports users left without sockets to `onUsersOffline(userIds)`.
+//
+// A call is a plain object: { callId, caller, receiver, type, status, participants, sockets: { userId: socketId } }
+const storeName = process.env.PRESENCE_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown PRESENCE_STORE "${storeName}"`);
+}
+
+const offlineListeners = [];
+const notifyUsersOffline = (userIds) => {
+  offlineListeners.forEach(listener => listener(userIds));
+};
+
+const createStore = (name) => {
+  if (name !== 'redis') return stores[name]();
+
+  const client = getRedisClient();
+  if (!client) {
+    throw new Error('PRESENCE_STORE "redis" requires REDIS_URL');
+  }
+  return stores.redis({ client, onUsersOffline: notifyUsersOffline });
+};
+
+let store = createStore(storeName);
+
+console.log('👥 Presence store:', store.name.toUpperCase());
+
+// Swap the store at runtime (e.g. a Redis store on a test client)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+// Listen for users a store took offline by itself
+const onUsersOffline = (listener) => {
+  offlineListeners.push(listener);
+};
+
+module.exports = {
+  stores,
+  setStore,
+  onUsersOffline,
+  notifyUsersOffline,
+  addSocket: (userId, socketId) => store.addSocket(userId, socketId),
+  removeSocket: (userId, socketId) => store.removeSocket(userId, socketId),
+  isOnline: (userId) => store.isOnline(userId),
+  getOnlineUserIds: () => store.getOnlineUserIds(),
+  saveCall: (call) => store.saveCall(call),
+  getCall: (callId) => store.getCall(callId),
+  getCallsByUser: (userId) => store.getCallsByUser(userId),
+  acceptCall: (callId, userId, socketId) => store.acceptCall(callId, userId, socketId),
+  removeCall: (callId, onlyIfStatus) => store.removeCall(callId, onlyIfStatus)
+};
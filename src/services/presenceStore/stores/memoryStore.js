@@ -0,0 +1,61 @@
+// Keep presence and call state in this process. Only suitable for a single
+// server instance.
+module.exports = () => {
+  // { userId: Set<socketId> } (one socket per tab/device)
+  const onlineUsers = new Map();
+  // { callId: call }
+  const calls = new Map();
+
+  const copy = (call) => (call ? JSON.parse(JSON.stringify(call)) : null);
+
+  return {
+    name: 'memory',
+
+    addSocket: async (userId, socketId) => {
+      if (!onlineUsers.has(userId)) {
+        onlineUsers.set(userId, new Set());
+      }
+      onlineUsers.get(userId).add(socketId);
+      return onlineUsers.get(userId).size;
+    },
+
+    removeSocket: async (userId, socketId) => {
+      const sockets = onlineUsers.get(userId);
+      if (!sockets) return 0;
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        onlineUsers.delete(userId);
+      }
+      return sockets.size;
+    },
+
+    isOnline: async (userId) => onlineUsers.has(userId),
+
+    getOnlineUserIds: async () => Array.from(onlineUsers.keys()),
+
+    saveCall: async (call) => {
+      calls.set(call.callId, copy(call));
+    },
+
+    getCall: async (callId) => copy(calls.get(callId)),
+
+    getCallsByUser: async (userId) => Array.from(calls.values())
+      .filter(call => call.participants.includes(userId))
+      .map(copy),
+
+    acceptCall: async (callId, userId, socketId) => {
+      const call = calls.get(callId);
+      if (!call || call.status !== 'ringing' || call.receiver !== userId) return null;
+      call.status = 'ongoing';
+      call.sockets[userId] = socketId;
+      return copy(call);
+    },
+
+    removeCall: async (callId, onlyIfStatus) => {
+      const call = calls.get(callId);
+      if (!call || (onlyIfStatus && call.status !== onlyIfStatus)) return null;
+      calls.delete(callId);
+      return call;
+    }
+  };
+};
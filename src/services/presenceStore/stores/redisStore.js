@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+const PREFIX = process.env.REDIS_PREFIX || 'chatmail:';
+// Calls left behind by a crashed node expire on their own
+const CALL_TTL_SECONDS = 4 * 60 * 60;
+// Each node refreshes a heartbeat key; sockets of nodes whose heartbeat
+// expired are removed by the surviving nodes
+const HEARTBEAT_INTERVAL = 10 * 1000;
+const HEARTBEAT_TTL_SECONDS = 30;
+
+const keys = {
+  userSockets: (userId) => `${PREFIX}presence:user:${userId}`,
+  online: `${PREFIX}presence:online`,
+  nodes: `${PREFIX}presence:nodes`,
+  nodeSockets: (nodeId) => `${PREFIX}presence:node:${nodeId}`,
+  nodeAlive: (nodeId) => `${PREFIX}presence:alive:${nodeId}`,
+  call: (callId) => `${PREFIX}call:${callId}`,
+  userCalls: (userId) => `${PREFIX}calls:user:${userId}`
+};
+
+// Lua scripts keep each multi-key update atomic across nodes
+const SCRIPTS = {
+  // KEYS: userSockets, online, nodeSockets  ARGV: userId, socketId
+  presenceAdd: {
+    numberOfKeys: 3,
+    lua: `
+      redis.call('SADD', KEYS[1], ARGV[2])
+      redis.call('SADD', KEYS[2], ARGV[1])
+      redis.call('SADD', KEYS[3], ARGV[1] .. ':' .. ARGV[2])
+      return redis.call('SCARD', KEYS[1])
+    `
+  },
+  // KEYS: userSockets, online, nodeSockets  ARGV: userId, socketId
+  presenceRemove: {
+    numberOfKeys: 3,
+    lua: `
+      redis.call('SREM', KEYS[1], ARGV[2])
+      redis.call('SREM', KEYS[3], ARGV[1] .. ':' .. ARGV[2])
+      local remaining = redis.call('SCARD', KEYS[1])
+      if remaining == 0 then
+        redis.call('SREM', KEYS[2], ARGV[1])
+      end
+      return remaining
+    `
+  },
+  // KEYS: call  ARGV: userId, socketId
+  callAccept: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('HGET', KEYS[1], 'status') ~= 'ringing' then return 0 end
+      if redis.call('HGET', KEYS[1], 'receiver') ~= ARGV[1] then return 0 end
+      redis.call('HSET', KEYS[1], 'status', 'ongoing', 'socket:' .. ARGV[1], ARGV[2])
+      return 1
+    `
+  },
+  // KEYS: call  ARGV: onlyIfStatus ('' for any)
+  callRemove: {
+    numberOfKeys: 1,
+    lua: `
+      local fields = redis.call('HGETALL', KEYS[1])
+      if #fields == 0 then return nil end
+      if ARGV[1] ~= '' and redis.call('HGET', KEYS[1], 'status') ~= ARGV[1] then return nil end
+      redis.call('DEL', KEYS[1])
+      return fields
+    `
+  }
+};
+
+// Calls are stored as hashes: scalar fields as is, participants as JSON and
+// one `socket:<userId>` field per device that joined the call.
+// Plain Redis commands only, so the scripts also run on Redis stand-ins.
+const toHash = (call) => {
+  const hash = {
+    callId: call.callId,
+    caller: call.caller,
+    receiver: call.receiver,
+    type: call.type,
+    status: call.status,
+    participants: JSON.stringify(call.participants)
+  };
+  for (const [userId, socketId] of Object.entries(call.sockets)) {
+    hash[`socket:${userId}`] = socketId;
+  }
+  return hash;
+};
+
+const fromHash = (hash) => {
+  if (!hash || !hash.callId) return null;
+
+  const call = { sockets: {} };
+  for (const [field, value] of Object.entries(hash)) {
+    if (field.startsWith('socket:')) {
+      call.sockets[field.slice('socket:'.length)] = value;
+    } else {
+      call[field] = field === 'participants' ? JSON.parse(value) : value;
+    }
+  }
+  return call;
+};
+
+// HGETALL reply of a script comes back as a flat [field, value, ...] list
+const pairsToHash = (pairs) => {
+  if (!pairs) return null;
+  const hash = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    hash[pairs[i]] = pairs[i + 1];
+  }
+  return hash;
+};
+
+// Keep presence and call state in Redis so every server instance sees the
+// same data. `client` is an ioredis client (or a compatible stand-in).
+// `onUsersOffline(userIds)` is called for users whose last socket was on a
+// node that died, since no disconnect handler runs for them.
+module.exports = ({ client, nodeId = crypto.randomUUID(), onUsersOffline = () => {} }) => {
+  for (const [name, script] of Object.entries(SCRIPTS)) {
+    if (!client[name]) {
+      client.defineCommand(name, script);
+    }
+  }
+
+  const heartbeat = async () => {
+    await client
+      .multi()
+      .sadd(keys.nodes, nodeId)
+      .set(keys.nodeAlive(nodeId), '1', 'EX', HEARTBEAT_TTL_SECONDS)
+      .exec();
+  };
+
+  // Drop sockets registered by nodes that stopped sending heartbeats
+  const sweepDeadNodes = async () => {
+    const nodeIds = await client.smembers(keys.nodes);
+    for (const deadNodeId of nodeIds) {
+      if (deadNodeId === nodeId || await client.exists(keys.nodeAlive(deadNodeId))) continue;
+
+      // Whoever removes the node from the list sweeps it, so users are
+      // announced offline once
+      if (await client.srem(keys.nodes, deadNodeId) === 0) continue;
+
+      const entries = await client.smembers(keys.nodeSockets(deadNodeId));
+      const offline = new Set();
+      for (const entry of entries) {
+        const [userId, socketId] = entry.split(':');
+        const remaining = await client.presenceRemove(keys.userSockets(userId), keys.online, keys.nodeSockets(deadNodeId), userId, socketId);
+        if (remaining === 0) offline.add(userId);
+      }
+      await client.del(keys.nodeSockets(deadNodeId));
+      console.log(`🧹 Removed ${entries.length} stale socket(s) of node ${deadNodeId}`);
+
+      if (offline.size > 0) {
+        onUsersOffline(Array.from(offline));
+      }
+    }
+  };
+
+  const tick = () => heartbeat()
+    .then(sweepDeadNodes)
+    .catch(error => console.error('Error refreshing presence heartbeat:', error.message));
+  tick();
+  const timer = setInterval(tick, HEARTBEAT_INTERVAL);
+  timer.unref();
+
+  return {
+    name: 'redis',
+
+    // Run a heartbeat and sweep now instead of waiting for the timer
+    tick,
+
+    // Stop the heartbeat; the node counts as dead once its heartbeat expires
+    close: () => clearInterval(timer),
+
+    addSocket: (userId, socketId) =>
+      client.presenceAdd(keys.userSockets(userId), keys.online, keys.nodeSockets(nodeId), userId, socketId),
+
+    removeSocket: (userId, socketId) =>
+      client.presenceRemove(keys.userSockets(userId), keys.online, keys.nodeSockets(nodeId), userId, socketId),
+
+    isOnline: async (userId) => (await client.sismember(keys.online, userId)) === 1,
+
+    getOnlineUserIds: () => client.smembers(keys.online),
+
+    saveCall: async (call) => {
+      const pipeline = client
+        .multi()
+        .del(keys.call(call.callId))
+        .hset(keys.call(call.callId), toHash(call))
+        .expire(keys.call(call.callId), CALL_TTL_SECONDS);
+      for (const userId of call.participants) {
+        pipeline.sadd(keys.userCalls(userId), call.callId).expire(keys.userCalls(userId), CALL_TTL_SECONDS);
+      }
+      await pipeline.exec();
+    },
+
+    getCall: async (callId) => fromHash(await client.hgetall(keys.call(callId))),
+
+    getCallsByUser: async (userId) => {
+      const callIds = await client.smembers(keys.userCalls(userId));
+      if (callIds.length === 0) return [];
+
+      const pipeline = client.multi();
+      callIds.forEach(callId => pipeline.hgetall(keys.call(callId)));
+      const calls = (await pipeline.exec()).map(([, hash]) => fromHash(hash));
+
+      // Forget calls that already ended or expired
+      const stale = callIds.filter((callId, i) => !calls[i]);
+      if (stale.length > 0) {
+        await client.srem(keys.userCalls(userId), ...stale);
+      }
+      return calls.filter(Boolean);
+    },
+
+    acceptCall: async (callId, userId, socketId) => {
+      const accepted = await client.callAccept(keys.call(callId), userId, socketId);
+      return accepted === 1 ? fromHash(await client.hgetall(keys.call(callId))) : null;
+    },
+
+    removeCall: async (callId, onlyIfStatus) => {
+      const call = fromHash(pairsToHash(await client.callRemove(keys.call(callId), onlyIfStatus || '')));
+      if (call) {
+        const pipeline = client.multi();
+        call.participants.forEach(userId => pipeline.srem(keys.userCalls(userId), callId));
+        await pipeline.exec();
+      }
+      return call;
+    }
+  };
+};
@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const permissions = require('./permissions');
+
+const DEFAULT_AVATAR = 'https://ui-avatars.com/api/?background=random';
+
+// Fields of a User document needed to evaluate privacy rules
+const PRIVACY_FIELDS = 'privacy contacts blockedUsers';
+
+// Check whether `viewerId` may see `owner`'s setting
+// (setting: 'lastSeen', 'online', 'avatar' or 'bio').
+// Owner must be loaded with privacy and contacts.
+const canSee = (owner, viewerId, setting) => {
+  if (owner._id.toString() === viewerId.toString()) return true;
+
+  const visibility = owner.privacy?.[setting] || 'everyone';
+  if (visibility === 'everyone') return true;
+  if (visibility === 'contacts') return owner.hasContact(viewerId);
+  return false;
+};
+
+// Plain profile object with fields the viewer may not see removed.
+// `blocked` hides everything privacy-controlled.
+const filterProfile = (owner, viewerId, blocked = false) => {
+  const profile = owner.toObject();
+  delete profile.privacy;
+  delete profile.contacts;
+  delete profile.blockedUsers;
+
+  if (blocked || !canSee(owner, viewerId, 'online')) {
+    delete profile.status;
+  }
+  // Expired custom statuses may not have been swept yet
+  if (blocked || (profile.customStatus?.expiresAt && profile.customStatus.expiresAt <= Date.now())) {
+    delete profile.customStatus;
+  }
+  if (blocked || !canSee(owner, viewerId, 'lastSeen')) {
+    delete profile.lastSeen;
+  }
+  if (blocked || !canSee(owner, viewerId, 'avatar')) {
+    profile.avatar = DEFAULT_AVATAR;
+  }
+  if (blocked || !canSee(owner, viewerId, 'bio')) {
+    delete profile.bio;
+  }
+  return profile;
+};
+
+// Apply filterProfile to a list of users. Users must be loaded with
+// PRIVACY_FIELDS in addition to the fields being returned.
+const filterProfiles = async (owners, viewerId) => {
+  const blockedUserIds = new Set(await permissions.getBlockedUserIds(viewerId));
+  return owners.map(owner => filterProfile(owner, viewerId, blockedUserIds.has(owner._id.toString())));
+};
+
+// Populated users found at a dotted `path` of a document or plain object,
+// going through arrays (e.g. 'members.userId')
+const usersAt = (doc, path) => path.split('.')
+  .reduce((values, key) => values.flatMap(value => {
+    const next = value?.[key];
+    return Array.isArray(next) ? next : [next];
+  }), [doc])
+  .filter(user => user && user._id && user.avatar);
+
+// Replace the avatar of users populated at `paths` in `docs` (one or a list
+// of documents or plain objects, changed in place) with the default one
+// where `viewerId` may not see it. Without a viewer, for one payload sent to
+// a whole group, only avatars shown to everyone are kept. Returns `docs`.
+const hideAvatars = async (docs, paths, viewerId = null) => {
+  const viewer = viewerId && viewerId.toString();
+  const users = [docs].flat()
+    .filter(Boolean)
+    .flatMap(doc => paths.flatMap(path => usersAt(doc, path)))
+    .filter(user => user._id.toString() !== viewer);
+  if (users.length === 0) return docs;
+
+  const [restricted, blockedUserIds] = await Promise.all([
+    User.find({
+      _id: { $in: [...new Set(users.map(user => user._id.toString()))] },
+      'privacy.avatar': { $in: ['contacts', 'nobody'] }
+    }).select('privacy contacts'),
+    viewer ? permissions.getBlockedUserIds(viewer) : []
+  ]);
+
+  const hidden = new Set(blockedUserIds);
+  restricted
+    .filter(owner => !viewer || !canSee(owner, viewer, 'avatar'))
+    .forEach(owner => hidden.add(owner._id.toString()));
+
+  users
+    .filter(user => hidden.has(user._id.toString()))
+    .forEach(user => { user.avatar = DEFAULT_AVATAR; });
+  return docs;
+};
+
+// Split `viewerIds` into who may see `userId` online, and which of those may
+// also see the last seen time. Blocked users are left out entirely.
+const getPresenceAudience = async (userId, viewerIds) => {
+  const [owner, blockedUserIds] = await Promise.all([
+    User.findById(userId).select(PRIVACY_FIELDS),
+    permissions.getBlockedUserIds(userId)
+  ]);
+
+  const audience = { online: [], lastSeen: [] };
+  if (!owner) return audience;
+
+  const blocked = new Set(blockedUserIds);
+  for (const viewerId of viewerIds) {
+    if (viewerId === userId || blocked.has(viewerId)) continue;
+    if (canSee(owner, viewerId, 'online')) audience.online.push(viewerId);
+    if (canSee(owner, viewerId, 'lastSeen')) audience.lastSeen.push(viewerId);
+  }
+  return audience;
+};
+
+// Of `userIds`, those whose online status `viewerId` may see
+const filterVisibleOnline = async (viewerId, userIds) => {
+  const [owners, blockedUserIds] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select(PRIVACY_FIELDS),
+    permissions.getBlockedUserIds(viewerId)
+  ]);
+
+  const blocked = new Set(blockedUserIds);
+  return owners
+    .filter(owner => !blocked.has(owner._id.toString()) && canSee(owner, viewerId, 'online'))
+    .map(owner => owner._id.toString());
+};
+
+// Whether read receipts flow between two users (both must have them on)
+const readReceiptsEnabled = async (userA, userB) => {
+  const disabled = await User.exists({
+    _id: { $in: [userA, userB] },
+    'privacy.readReceipts': false
+  });
+  return !disabled;
+};
+
+module.exports = {
+  PRIVACY_FIELDS,
+  canSee,
+  filterProfile,
+  filterProfiles,
+  hideAvatars,
+  getPresenceAudience,
+  filterVisibleOnline,
+  readReceiptsEnabled
+};
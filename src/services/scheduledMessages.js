@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const permissions = require('./permissions');
+const privacy = require('./privacy');
+const messageService = require('./messageService');
+
+// Furthest ahead a message can be scheduled
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000;
+// Most messages a user can have waiting
+const MAX_PENDING = 100;
+// A claim older than this is from an instance that died mid-send
+const CLAIM_TIMEOUT = 5 * 60 * 1000;
+// Attempts before a message that keeps throwing is marked failed
+const MAX_ATTEMPTS = 3;
+const LIST_STATUSES = ['pending', 'sent', 'failed', 'cancelled'];
+
+// Same result shape as messageService: { error: { status, code, message } }
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+// Sends of a scheduled message share one clientMessageId, so the
+// (sender, clientMessageId) index lets it be stored only once
+const clientMessageIdFor = (scheduled) => `scheduled:${scheduled._id}`;
+
+const parseScheduledFor = (value) => {
+  const scheduledFor = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(scheduledFor.getTime())) {
+    return failure(400, 'INVALID_SCHEDULE', 'scheduledFor must be a date');
+  }
+  if (scheduledFor <= Date.now()) {
+    return failure(400, 'INVALID_SCHEDULE', 'scheduledFor must be in the future');
+  }
+  if (scheduledFor - Date.now() > MAX_SCHEDULE_AHEAD) {
+    return failure(400, 'INVALID_SCHEDULE', 'Messages can be scheduled up to a year ahead');
+  }
+  return { scheduledFor };
+};
+
+// Early version of the checks the send path repeats at delivery time
+const checkTarget = async (sender, { receiverId, groupId }) => {
+  if (groupId) {
+    const group = mongoose.isValidObjectId(groupId) && await Group.findById(groupId);
+    if (!group) return failure(404, 'GROUP_NOT_FOUND', 'Group not found');
+    if (!group.isMember(sender)) return failure(403, 'NOT_A_MEMBER', 'You are not a member of this group');
+    if (group.settings.onlyAdminsCanPost && !group.isAdmin(sender)) {
+      return failure(403, 'ONLY_ADMINS_CAN_POST', 'Only admins can post in this group');
+    }
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(receiverId)) {
+    return failure(404, 'RECEIVER_NOT_FOUND', 'Receiver not found');
+  }
+  const denied = await permissions.checkCanReach(sender, receiverId, 'messages');
+  if (denied) {
+    return denied === 'User not found'
+      ? failure(404, 'RECEIVER_NOT_FOUND', 'Receiver not found')
+      : failure(403, 'CANNOT_MESSAGE_USER', denied);
+  }
+  return null;
+};
+
+// Schedule a direct (`receiverId`) or group (`groupId`) message for
+// `scheduledFor`. Takes the same message fields as message:send.
+// Returns { scheduled } or an error.
+const scheduleMessage = async (userId, data = {}) => {
+  const sender = userId.toString();
+  const { groupId, receiverId, replyTo, type = 'text' } = data;
+
+  const when = parseScheduledFor(data.scheduledFor);
+  if (when.error) return when;
+
+  const badContent = messageService.checkContent(type, data.content);
+  if (badContent) return badContent;
+
+  const resolved = await messageService.resolveAttachment(sender, data);
+  if (resolved.error) return resolved;
+
+  const badTarget = await checkTarget(sender, { receiverId, groupId });
+  if (badTarget) return badTarget;
+
+  const pending = await ScheduledMessage.countDocuments({ sender, status: 'pending' });
+  if (pending >= MAX_PENDING) {
+    return failure(400, 'TOO_MANY_SCHEDULED', `You can have up to ${MAX_PENDING} scheduled messages`);
+  }
+
+  const scheduled = await ScheduledMessage.create({
+    sender,
+    conversationType: groupId ? 'group' : 'direct',
+    receiver: groupId ? undefined : receiverId,
+    groupId: groupId || undefined,
+    ...messageService.contentFields(data),
+    ...resolved.attachment,
+    replyTo,
+    scheduledFor: when.scheduledFor
+  });
+
+  return { scheduled };
+};
+
+// The user's scheduled messages with `status` (default pending), soonest first
+const listScheduled = async (userId, { status = 'pending' } = {}) => {
+  if (!LIST_STATUSES.includes(status)) {
+    return failure(400, 'INVALID_STATUS', `status must be one of: ${LIST_STATUSES.join(', ')}`);
+  }
+
+  const scheduled = await ScheduledMessage.find({ sender: userId, status })
+    .sort({ scheduledFor: status === 'pending' ? 1 : -1 })
+    .limit(MAX_PENDING)
+    .populate('receiver', 'name email avatar')
+    .populate('groupId', 'name avatar');
+
+  return { scheduled: await privacy.hideAvatars(scheduled, ['receiver'], userId) };
+};
+
+// Change the text or time of a message that is still pending
+const updateScheduled = async (userId, scheduledId, { content, scheduledFor }) => {
+  const current = mongoose.isValidObjectId(scheduledId) &&
+    await ScheduledMessage.findOne({ _id: scheduledId, sender: userId });
+  if (!current) {
+    return failure(404, 'SCHEDULED_NOT_FOUND', 'Scheduled message not found');
+  }
+
+  const updates = {};
+  if (content !== undefined) {
+    const badContent = messageService.checkContent(current.type, content);
+    if (badContent) return badContent;
+    updates.content = content;
+  }
+  if (scheduledFor !== undefined) {
+    const when = parseScheduledFor(scheduledFor);
+    if (when.error) return when;
+    updates.scheduledFor = when.scheduledFor;
+  }
+
+  // Only while nobody has started sending it
+  const scheduled = await ScheduledMessage.findOneAndUpdate(
+    { _id: current._id, status: 'pending' },
+    { $set: updates },
+    { new: true }
+  );
+  if (!scheduled) {
+    return failure(409, 'NOT_PENDING', `This message is already ${current.status === 'sending' ? 'being sent' : current.status}`);
+  }
+  return { scheduled };
+};
+
+// Cancel a message that is still pending
+const cancelScheduled = async (userId, scheduledId) => {
+  const current = mongoose.isValidObjectId(scheduledId) &&
+    await ScheduledMessage.findOne({ _id: scheduledId, sender: userId });
+  if (!current) {
+    return failure(404, 'SCHEDULED_NOT_FOUND', 'Scheduled message not found');
+  }
+
+  const scheduled = await ScheduledMessage.findOneAndUpdate(
+    { _id: current._id, status: 'pending' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!scheduled) {
+    return failure(409, 'NOT_PENDING', `This message is already ${current.status === 'sending' ? 'being sent' : current.status}`);
+  }
+  return { scheduled };
+};
+
+// Claim the next due message: pending and due, or stuck in sending after
+// its instance died. The update is atomic, so each claim goes to one instance.
+const claimNext = () => {
+  const now = Date.now();
+  return ScheduledMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', scheduledFor: { $lte: now } },
+        { status: 'sending', claimedAt: { $lte: now - CLAIM_TIMEOUT } }
+      ]
+    },
+    { $set: { status: 'sending', claimedAt: now }, $inc: { attempts: 1 } },
+    { sort: { scheduledFor: 1 }, new: true }
+  );
+};
+
+// Send one claimed message through the normal send path (socket events,
+// delivery status, permissions). A resend after a crash hits the same
+// clientMessageId and returns the stored message instead of a second one.
+const deliver = async (io, scheduled) => {
+  const sender = scheduled.sender.toString();
+  const stored = scheduled.toObject();
+  const data = {
+    ...messageService.contentFields(stored),
+    replyTo: stored.replyTo?.messageId ? stored.replyTo : undefined,
+    clientMessageId: clientMessageIdFor(scheduled)
+  };
+  // Checked against the sender's uploads when it was scheduled
+  const serverFields = Message.attachmentFields(stored);
+
+  let result;
+  try {
+    result = scheduled.conversationType === 'group'
+      ? await messageService.sendGroupMessage(io, sender, { ...data, groupId: scheduled.groupId.toString() }, serverFields)
+      : await messageService.sendDirectMessage(io, sender, { ...data, receiverId: scheduled.receiver.toString() }, serverFields);
+  } catch (error) {
+    // Try again on the next run, unless it keeps failing
+    const giveUp = scheduled.attempts >= MAX_ATTEMPTS;
+    await ScheduledMessage.updateOne(
+      { _id: scheduled._id, status: 'sending' },
+      giveUp
+        ? { $set: { status: 'failed', error: { code: 'SERVER_ERROR', message: error.message } } }
+        : { $set: { status: 'pending' } }
+    );
+    if (giveUp) {
+      io.to(sender).emit('scheduled:failed', {
+        scheduledMessageId: scheduled._id.toString(),
+        error: { code: 'SERVER_ERROR', message: error.message }
+      });
+    }
+    throw error;
+  }
+
+  if (result.error) {
+    // e.g. blocked since, or no longer a member: sending again won't help
+    const error = { code: result.error.code, message: result.error.message };
+    await ScheduledMessage.updateOne({ _id: scheduled._id }, { $set: { status: 'failed', error } });
+    io.to(sender).emit('scheduled:failed', { scheduledMessageId: scheduled._id.toString(), error });
+    return;
+  }
+
+  await ScheduledMessage.updateOne(
+    { _id: scheduled._id },
+    { $set: { status: 'sent', message: result.message._id, sentAt: Date.now() } }
+  );
+  io.to(sender).emit('scheduled:sent', {
+    scheduledMessageId: scheduled._id.toString(),
+    messageId: result.message._id.toString()
+  });
+};
+
+// Send everything that is due. Returns how many were handled.
+const deliverDue = async (io) => {
+  let count = 0;
+  let scheduled;
+  while ((scheduled = await claimNext())) {
+    count++;
+    try {
+      await deliver(io, scheduled);
+    } catch (error) {
+      // Leave the rest for the next run rather than retrying straight away
+      console.error(`Error sending scheduled message ${scheduled._id}:`, error);
+      break;
+    }
+  }
+  return count;
+};
+
+module.exports = {
+  scheduleMessage,
+  listScheduled,
+  updateScheduled,
+  cancelScheduled,
+  deliverDue
+};
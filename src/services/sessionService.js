@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getClientInfo } = require('../utils/request');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Socket.IO room that every socket of a session joins
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+// Generate short-lived JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Create a new device session and return its tokens
+exports.createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ip } = getClientInfo(req);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ip,
+    lastUsedAt: Date.now(),
+    expiresAt: Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+
+  return {
+    session,
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair (rotating the refresh token).
+// Returns null if the token is unknown, expired or revoked.
+exports.rotateRefreshToken = async (refreshToken, req, io) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+  if (!session) {
+    // A rotated-out token being presented again means it was leaked: kill the session
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      await exports.revokeSession(reused, 'reuse-detected', io);
+    }
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const { userAgent, ip } = getClientInfo(req);
+
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.userAgent = userAgent || session.userAgent;
+  session.ip = ip || session.ip;
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Verify an access token and make sure its session is still alive.
+// Throws if the token is invalid; returns { user, session } or null.
+exports.verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no session and are rejected
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  // Don't write on every request, once a minute is precise enough
+  if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: Date.now() }).exec()
+      .catch(error => console.error('Error updating session lastUsedAt:', error));
+  }
+
+  return { user, session };
+};
+
+// Revoke a session and disconnect its live sockets
+exports.revokeSession = async (session, reason, io) => {
+  session.revokedAt = Date.now();
+  session.revokedReason = reason;
+  await session.save();
+
+  if (io) {
+    io.to(sessionRoom(session._id)).emit('session:revoked', {
+      sessionId: session._id.toString(),
+      reason
+    });
+    io.in(sessionRoom(session._id)).disconnectSockets(true);
+  }
+};
+
+// Revoke every active session of a user (optionally keeping one)
+exports.revokeAllSessions = async (userId, reason, io, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query);
+  for (const session of sessions) {
+    await exports.revokeSession(session, reason, io);
+  }
+  return sessions.length;
+};
+
+exports.sessionRoom = sessionRoom;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Conversation = require('../models/Conversation');
+const conversationService = require('./conversationService');
+const privacy = require('./privacy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const encodeCursor = (message) => Buffer.from(JSON.stringify({
+  t: message.createdAt.getTime(),
+  id: message._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof t !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// The messages `userId` starred in chats they can still see, newest message
+// first. Messages they deleted for themselves are included when they chose to
+// keep them starred. Filters: conversationId, types (array).
+// Returns { results: [{ message, starredAt }], nextCursor }, or { error }.
+exports.getStarred = async (userId, { conversationId, types, limit, cursor } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const user = userId.toString();
+
+  const groupIds = await Group.find({ 'members.userId': userId }).distinct('_id');
+  const conditions = [
+    { 'starredBy.userId': userId },
+    {
+      $or: [
+        { conversationType: { $ne: 'group' }, sender: userId },
+        { conversationType: { $ne: 'group' }, receiver: userId },
+        { conversationType: 'group', groupId: { $in: groupIds } }
+      ]
+    },
+    { deletedForEveryone: { $ne: true } }
+  ];
+
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    const canAccess = conversation && (conversation.type === 'group'
+      ? groupIds.some(id => id.equals(conversation.group))
+      : conversation.users.some(id => id.equals(userId)));
+    if (!canAccess) {
+      return { error: 'Conversation not found' };
+    }
+    conditions.push(conversationService.messageFilter(conversation));
+  }
+
+  if (types && types.length > 0) conditions.push({ type: { $in: types } });
+
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    conditions.push({
+      $or: [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after.id } }
+      ]
+    });
+  }
+
+  const messages = await Message.find({ $and: conditions })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .select('-editHistory +starredBy')
+    .populate('sender', 'name avatar')
+    .populate('receiver', 'name avatar')
+    .populate('groupId', 'name avatar');
+
+  const hasMore = messages.length > pageSize;
+  const page = await privacy.hideAvatars(messages.slice(0, pageSize), Message.USER_PATHS, user);
+
+  return {
+    results: page.map(message => {
+      const star = message.starredBy.find(s => s.userId.toString() === user);
+      // Other users' stars stay private
+      const { starredBy, ...rest } = message.toJSON();
+      return { message: rest, starredAt: star.starredAt };
+    }),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
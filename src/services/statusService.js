@@ -0,0 +1,44 @@
+const User = require('../models/User');
+const permissions = require('./permissions');
+const privacy = require('./privacy');
+
+// Custom status if set and not expired, otherwise null
+const activeCustomStatus = (user) => {
+  const custom = user.customStatus;
+  if (!custom || (!custom.emoji && !custom.text)) return null;
+  if (custom.expiresAt && custom.expiresAt <= Date.now()) return null;
+  return {
+    emoji: custom.emoji,
+    text: custom.text,
+    expiresAt: custom.expiresAt
+  };
+};
+
+// Push a user's status to their own devices and their contacts.
+// Contacts not allowed to see the user's online status only get the custom status.
+const broadcastStatus = async (io, userId) => {
+  const user = await User.findById(userId).select(`status customStatus ${privacy.PRIVACY_FIELDS}`);
+  if (!user) return;
+
+  const id = user._id.toString();
+  const customStatus = activeCustomStatus(user);
+  const blocked = new Set(await permissions.getBlockedUserIds(id));
+  const contacts = user.contacts.map(c => c.toString()).filter(c => !blocked.has(c));
+
+  const withStatus = contacts.filter(c => privacy.canSee(user, c, 'online'));
+  const withoutStatus = contacts.filter(c => !withStatus.includes(c));
+
+  io.to([id, ...withStatus]).emit('user:status', {
+    userId: id,
+    status: user.status,
+    customStatus
+  });
+  if (withoutStatus.length > 0) {
+    io.to(withoutStatus).emit('user:status', { userId: id, customStatus });
+  }
+};
+
+module.exports = {
+  activeCustomStatus,
+  broadcastStatus
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const privacy = require('./privacy');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+
+// Changes are read in (updatedAt, _id) order. Many messages can share an
+// updatedAt (deliverPending marks them all at once), so the cursor carries
+// the _id of the last change too.
+const encodeCursor = (message) => Buffer.from(JSON.stringify({
+  t: message.updatedAt.getTime(),
+  id: message._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof t !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { updatedAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Messages changed after the cursor, or on the first call since `since`.
+// `since` is inclusive: a change at exactly that instant is sent again rather
+// than lost, and clients apply changes by message ID.
+const changedSince = (since, after) => {
+  if (!after) return { updatedAt: { $gte: since } };
+  return {
+    $or: [
+      { updatedAt: { $gt: after.updatedAt } },
+      { updatedAt: after.updatedAt, _id: { $gt: after.id } }
+    ]
+  };
+};
+
+const wasDeletedForUser = (message, userId) =>
+  message.deletedBy.find(d => d.userId && d.userId.toString() === userId.toString());
+
+// Everything that changed since `since` in the user's direct chats and
+// groups, sorted into what the client has to apply:
+// - messages: new messages
+// - edits: { messageId, content, isEdited, editedAt }
+// - deletions: { messageId, deleteType: 'me' | 'everyone' }
+// - updates: { messageId, reactions, status, deliveredAt, readAt, pinnedAt,
+//   pinExpiresAt } for reaction, delivery/read and pin changes on older messages
+// Changes are read in batches of `limit` (oldest first). While `hasMore` is
+// true the client calls again with the same `since` and `cursor` set to
+// `nextCursor`; once done, `nextSince` is the `since` for the next sync.
+// Returns { messages, edits, deletions, updates, hasMore, nextCursor,
+// nextSince } or { error } for a cursor that can't be read.
+exports.getChangesSince = async (userId, since, limit, cursor) => {
+  const batchSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  // Taken before reading so changes made meanwhile are picked up next time
+  const serverTime = new Date();
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return { error: 'Invalid sync cursor' };
+  }
+
+  const groupIds = await Group.find({ 'members.userId': userId }).distinct('_id');
+
+  const changed = await Message.find({
+    $and: [changedSince(since, after), {
+      $or: [
+        { sender: userId, conversationType: { $ne: 'group' } },
+        { receiver: userId },
+        { groupId: { $in: groupIds }, conversationType: 'group' }
+      ]
+    }]
+  })
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(batchSize + 1)
+    .select('-editHistory')
+    .populate('sender', 'name email avatar')
+    .populate('receiver', 'name email avatar')
+    .populate('replyTo.sender', 'name email avatar');
+
+  const hasMore = changed.length > batchSize;
+  const batch = await privacy.hideAvatars(changed.slice(0, batchSize), Message.USER_PATHS, userId);
+
+  const changes = { messages: [], edits: [], deletions: [], updates: [] };
+  for (const message of batch) {
+    const messageId = message._id.toString();
+    const deletedForUser = wasDeletedForUser(message, userId);
+
+    if (deletedForUser) {
+      // Deleted before `since`: the client already removed it
+      if (deletedForUser.deletedAt >= since) {
+        changes.deletions.push({ messageId, deleteType: 'me' });
+      }
+    } else if (message.deletedForEveryone) {
+      if (message.createdAt < since) {
+        changes.deletions.push({
+          messageId,
+          deleteType: 'everyone',
+          deletedBy: message.deletedForEveryoneBy
+        });
+      }
+    } else if (message.createdAt >= since) {
+      changes.messages.push(message);
+    } else if (message.editedAt && message.editedAt >= since) {
+      changes.edits.push({
+        messageId,
+        content: message.content,
+        isEdited: true,
+        editedAt: message.editedAt,
+        reactions: message.reactions
+      });
+    } else {
+      changes.updates.push({
+        messageId,
+        reactions: message.reactions,
+        status: message.status,
+        deliveredAt: message.deliveredAt,
+        readAt: message.readAt,
+        pinnedAt: message.pinnedAt,
+        pinExpiresAt: message.pinExpiresAt
+      });
+    }
+  }
+
+  return {
+    ...changes,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(batch[batch.length - 1]) : null,
+    // Mid-batch the client keeps its `since`; after the last batch it
+    // continues from now
+    nextSince: hasMore ? since : serverTime
+  };
+};
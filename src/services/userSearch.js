@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Relevance, best first
+const RANK = {
+  EXACT_USERNAME: 0,
+  EXACT_EMAIL: 1,
+  USERNAME_PREFIX: 2,
+  NAME_PREFIX: 3,
+  WORD_PREFIX: 4
+};
+
+// Shorter queries match too much of the collection to be useful
+const MIN_QUERY_LENGTH = 2;
+// Most username and most name matches ranked per search; a longer query
+// narrows them down
+const MAX_CANDIDATES = 1000;
+
+// Fields returned for each user found
+const PROFILE_FIELDS = 'name username email avatar bio status customStatus privacy contacts blockedUsers';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (candidate) => Buffer.from(JSON.stringify({
+  r: candidate.rank,
+  n: candidate.sortName,
+  id: candidate.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { r, n, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof r !== 'number' || typeof n !== 'string' || !mongoose.isValidObjectId(id)) return null;
+    return { rank: r, sortName: n, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Order by relevance, then name, then ID (hex IDs compare like ObjectIds)
+const compareCandidates = (a, b) => (a.rank - b.rank) ||
+  (a.sortName < b.sortName ? -1 : a.sortName > b.sortName ? 1 : 0) ||
+  (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Search discoverable users by username / name prefix or exact email.
+// Exact username and email hits are looked up on their own, so they are
+// always found. Username and name prefix matches are each read in index
+// order (username, searchNames) up to MAX_CANDIDATES, so the same users are
+// ranked on every page; emails only match exactly so they can't be
+// enumerated.
+// Returns { users, nextCursor }: hydrated documents with `rank` set, ordered
+// by relevance then name.
+exports.searchUsers = async ({ query, excludeIds = [], limit = 20, cursor }) => {
+  const raw = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  const term = User.normalizeName(raw.replace(/^@/, ''));
+  if (term.length < MIN_QUERY_LENGTH) {
+    return { users: [], nextCursor: null };
+  }
+
+  const prefix = new RegExp(`^${escapeRegex(term)}`);
+  const visible = {
+    _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) },
+    'privacy.discoverable': { $ne: false }
+  };
+  const candidateFields = 'username email +searchNames';
+
+  const [exact, byUsername, byName] = await Promise.all([
+    User.find({ ...visible, $or: [{ username: term }, { email: raw }] }).select(candidateFields),
+    User.find({ ...visible, username: prefix })
+      .sort({ username: 1 })
+      .limit(MAX_CANDIDATES)
+      .select(candidateFields),
+    User.find({ ...visible, searchNames: prefix })
+      .sort({ searchNames: 1, _id: 1 })
+      .limit(MAX_CANDIDATES)
+      .select(candidateFields)
+  ]);
+
+  // Best rank per user
+  const candidates = new Map();
+  for (const user of [...exact, ...byUsername, ...byName]) {
+    const id = user._id.toString();
+    if (candidates.has(id)) continue;
+
+    const sortName = user.searchNames?.[0] || '';
+    let rank = RANK.WORD_PREFIX;
+    if (user.username === term) rank = RANK.EXACT_USERNAME;
+    else if (user.email === raw) rank = RANK.EXACT_EMAIL;
+    else if (user.username && prefix.test(user.username)) rank = RANK.USERNAME_PREFIX;
+    else if (prefix.test(sortName)) rank = RANK.NAME_PREFIX;
+    candidates.set(id, { id, rank, sortName });
+  }
+
+  const after = cursor && decodeCursor(cursor);
+  const ranked = [...candidates.values()]
+    .filter(candidate => !after || compareCandidates(candidate, after) > 0)
+    .sort(compareCandidates);
+
+  const hasMore = ranked.length > limit;
+  const page = ranked.slice(0, limit);
+
+  const profiles = await User.find({ _id: { $in: page.map(candidate => candidate.id) } }).select(PROFILE_FIELDS);
+  const byId = new Map(profiles.map(user => [user._id.toString(), user]));
+
+  return {
+    users: page.filter(candidate => byId.has(candidate.id)).map(candidate => {
+      const user = byId.get(candidate.id);
+      user.rank = candidate.rank;
+      return user;
+    }),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+exports.RANK = RANK;
+exports.MIN_QUERY_LENGTH = MIN_QUERY_LENGTH;
@@ -1,15 +1,65 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Group = require('../models/Group');
 const Call = require('../models/Call');
+const sessionService = require('../services/sessionService');
+const permissions = require('../services/permissions');
+const privacy = require('../services/privacy');
+const conversationService = require('../services/conversationService');
+const deliveryService = require('../services/deliveryService');
+const messageService = require('../services/messageService');
+// Online sockets and active calls, shared by all server instances
+const presenceStore = require('../services/presenceStore');
+
+// Target for a call participant: the device that joined the call, or all of
+// the user's devices while it is still ringing
+const callTarget = (activeCall, userId) => activeCall.sockets[userId] || userId;
+
+// Answer a request with a messageService result. Clients that pass an ack
+// callback get { success: true, ...result } (e.g. message and duplicate) or
+// { success: false, error }; older clients only hear about errors, through
+// `errorEvent`.
+const respond = (socket, ack, errorEvent, result) => {
+  const { error, ...data } = result;
+  if (typeof ack === 'function') {
+    ack(error
+      ? { success: false, error: { code: error.code, message: error.message } }
+      : { success: true, ...data });
+  } else if (error) {
+    socket.emit(errorEvent, { code: error.code, message: error.message });
+  }
+};
 
-// Store online users: { userId: socketId }
-const onlineUsers = new Map();
-// Store active calls: { oderId: { call, participants } }
-const activeCalls = new Map();
+const serverError = (error) => ({ error: { code: 'SERVER_ERROR', message: error.message } });
 
 module.exports = (io) => {
+  // Mark a user who has no sockets left offline and tell online users; last
+  // seen only goes to users allowed to see it
+  const announceOffline = async (userId) => {
+    User.findByIdAndUpdate(userId, {
+      status: 'offline',
+      lastSeen: Date.now()
+    }).exec().catch(error => console.error('Error updating user status:', error));
+
+    console.log(`📡 Broadcasting ${userId} is offline`);
+    try {
+      const audience = await privacy.getPresenceAudience(userId, await presenceStore.getOnlineUserIds());
+      const withoutLastSeen = audience.online.filter(id => !audience.lastSeen.includes(id));
+
+      if (audience.lastSeen.length > 0) {
+        io.to(audience.lastSeen).emit('user:offline', {
+          userId,
+          lastSeen: Date.now()
+        });
+      }
+      if (withoutLastSeen.length > 0) {
+        io.to(withoutLastSeen).emit('user:offline', { userId });
+      }
+    } catch (error) {
+      console.error('Error broadcasting presence:', error);
+    }
+  };
+
   // Socket authentication middleware
   io.use(async (socket, next) => {
     try {
@@ -18,15 +68,15 @@ module.exports = (io) => {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId);
+      const result = await sessionService.verifyAccessToken(token);
 
-      if (!user) {
-        return next(new Error('User not found'));
+      if (!result) {
+        return next(new Error('Session expired or revoked'));
       }
 
-      socket.userId = user._id.toString();
-      socket.userEmail = user.email;
+      socket.userId = result.user._id.toString();
+      socket.userEmail = result.user.email;
+      socket.sessionId = result.session._id.toString();
       next();
     } catch (error) {
       next(new Error('Authentication error'));
@@ -36,101 +86,95 @@ module.exports = (io) => {
   io.on('connection', (socket) => {
     console.log(`✅ User connected: ${socket.userEmail} (${socket.id})`);
 
-    // Add user to online users
-    onlineUsers.set(socket.userId, socket.id);
-    console.log(`👥 Total online users: ${onlineUsers.size}`);
-
-    // Update user status to online
-    User.findByIdAndUpdate(socket.userId, {
-      status: 'online',
-      lastSeen: Date.now()
-    }).exec();
-
-    // Send current online users list to the newly connected user
-    const onlineUsersList = Array.from(onlineUsers.keys());
-    console.log(`📤 Sending online users list to ${socket.userEmail}:`, onlineUsersList);
-    socket.emit('users:online', { userIds: onlineUsersList });
-
-    // Broadcast user online status to ALL other users
-    console.log(`📡 Broadcasting ${socket.userId} is online to all users`);
-    socket.broadcast.emit('user:online', { userId: socket.userId });
-
     // Join user's personal room
     socket.join(socket.userId);
+    // Join session room so revoking the session can disconnect this socket
+    socket.join(sessionService.sessionRoom(socket.sessionId));
 
-    // Handle sending messages
-    socket.on('message:send', async (data) => {
+    // Presence needs DB lookups; run it without delaying handler registration below
+    const announceOnline = async () => {
       try {
-        const { receiverId, content, type = 'text', replyTo, voiceDuration, voiceWaveform } = data;
+        // Add user to online users (first device brings the user online)
+        const isFirstDevice = await presenceStore.addSocket(socket.userId, socket.id) === 1;
 
-        // Create message in database
-        const messageData = {
-          sender: socket.userId,
-          receiver: receiverId,
-          content,
-          type,
-          replyTo
-        };
-
-        // Add voice data if present
-        if (type === 'voice') {
-          if (voiceDuration) messageData.voiceDuration = voiceDuration;
-          if (voiceWaveform) messageData.voiceWaveform = voiceWaveform;
+        // Disconnected while being registered; the disconnect handler ran too early
+        if (socket.disconnected) {
+          await presenceStore.removeSocket(socket.userId, socket.id);
+          return;
         }
 
-        const message = await Message.create(messageData);
-
-        await message.populate('sender', 'name email avatar');
-        await message.populate('receiver', 'name email avatar');
+        // Update user status to online
+        if (isFirstDevice) {
+          User.findByIdAndUpdate(socket.userId, {
+            status: 'online',
+            lastSeen: Date.now()
+          }).exec().catch(error => console.error('Error updating user status:', error));
+        }
 
-        if (replyTo?.messageId) {
-          await message.populate('replyTo.sender', 'name email avatar');
+        // Messages sent while the user was offline reach them now
+        const delivered = await deliveryService.deliverPending(io, socket.userId);
+        if (delivered > 0) {
+          console.log(`📬 Delivered ${delivered} pending message(s) to ${socket.userEmail}`);
         }
 
-        // Send to receiver if online
-        const receiverSocketId = onlineUsers.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message:receive', message);
+        // Send current online users list to the newly connected user
+        const onlineUserIds = await presenceStore.getOnlineUserIds();
+        console.log(`👥 Total online users: ${onlineUserIds.length}`);
+        const onlineUsersList = await privacy.filterVisibleOnline(socket.userId, onlineUserIds);
+        console.log(`📤 Sending online users list to ${socket.userEmail}:`, onlineUsersList);
+        socket.emit('users:online', { userIds: onlineUsersList });
 
-          // Update message status to delivered
-          message.status = 'delivered';
-          await message.save();
-          
-          // Send updated status back to sender
-          socket.emit('message:status', {
-            messageId: message._id.toString(),
-            status: 'delivered'
-          });
-        }
+        // Other devices already announced this user
+        if (!isFirstDevice) return;
 
-        // Send confirmation to sender
-        socket.emit('message:sent', message);
+        // Tell online users this user is online, as far as privacy settings and blocks allow
+        const audience = await privacy.getPresenceAudience(socket.userId, onlineUserIds);
+        console.log(`📡 Broadcasting ${socket.userId} is online to ${audience.online.length} users`);
+        if (audience.online.length > 0) {
+          io.to(audience.online).emit('user:online', { userId: socket.userId });
+        }
+      } catch (error) {
+        console.error('Error broadcasting presence:', error);
+      }
+    };
+    announceOnline();
 
+    // Handle sending messages
+    socket.on('message:send', async (data, ack) => {
+      try {
+        const result = await messageService.sendDirectMessage(io, socket.userId, data);
+        respond(socket, ack, 'message:error', result);
       } catch (error) {
-        socket.emit('message:error', { message: error.message });
+        respond(socket, ack, 'message:error', serverError(error));
       }
     });
 
     // Handle typing indicator
-    socket.on('typing:start', (data) => {
-      const { receiverId } = data;
-      const receiverSocketId = onlineUsers.get(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('typing:user', {
-          userId: socket.userId,
-          isTyping: true
-        });
+    socket.on('typing:start', async (data) => {
+      try {
+        const { receiverId } = data;
+        if (await presenceStore.isOnline(receiverId) && !(await permissions.isBlocked(socket.userId, receiverId))) {
+          io.to(receiverId).emit('typing:user', {
+            userId: socket.userId,
+            isTyping: true
+          });
+        }
+      } catch (error) {
+        console.error('Error sending typing status:', error);
       }
     });
 
-    socket.on('typing:stop', (data) => {
-      const { receiverId } = data;
-      const receiverSocketId = onlineUsers.get(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('typing:user', {
-          userId: socket.userId,
-          isTyping: false
-        });
+    socket.on('typing:stop', async (data) => {
+      try {
+        const { receiverId } = data;
+        if (await presenceStore.isOnline(receiverId) && !(await permissions.isBlocked(socket.userId, receiverId))) {
+          io.to(receiverId).emit('typing:user', {
+            userId: socket.userId,
+            isTyping: false
+          });
+        }
+      } catch (error) {
+        console.error('Error sending typing status:', error);
       }
     });
 
@@ -139,14 +183,21 @@ module.exports = (io) => {
       try {
         const { messageId, senderId } = data;
 
-        await Message.findByIdAndUpdate(messageId, {
-          status: 'read',
-          readAt: Date.now()
-        });
+        // With read receipts off on either side the message isn't touched and
+        // the sender keeps seeing "delivered"; only the reader's last-read
+        // pointer moves
+        const sendReceipt = await privacy.readReceiptsEnabled(socket.userId, senderId);
+
+        if (sendReceipt) {
+          await Message.findOneAndUpdate(
+            { _id: messageId, receiver: socket.userId },
+            { status: 'read', readAt: Date.now() }
+          );
+        }
+        await conversationService.markDirectRead(socket.userId, senderId, messageId);
 
-        const senderSocketId = onlineUsers.get(senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('message:status', {
+        if (sendReceipt) {
+          io.to(senderId).emit('message:status', {
             messageId,
             status: 'read'
           });
@@ -161,12 +212,18 @@ module.exports = (io) => {
       try {
         const { senderId } = data;
 
+        await conversationService.markDirectRead(socket.userId, senderId);
+
+        // With read receipts off on either side only the last-read pointer
+        // above moves; the messages keep their "delivered" status
+        if (!(await privacy.readReceiptsEnabled(socket.userId, senderId))) return;
+
         // Find all unread messages from this sender first
         const unreadMessages = await Message.find(
           {
             sender: senderId,
             receiver: socket.userId,
-            status: { $ne: 'read' }
+            readAt: null
           }
         ).select('_id');
 
@@ -177,298 +234,108 @@ module.exports = (io) => {
           {
             sender: senderId,
             receiver: socket.userId,
-            status: { $ne: 'read' }
+            readAt: null
           },
-          {
-            status: 'read',
-            readAt: Date.now()
-          }
+          { status: 'read', readAt: Date.now() }
         );
 
         // Notify sender about read status for each message
-        const senderSocketId = onlineUsers.get(senderId);
-        if (senderSocketId) {
-          // Send individual status updates for each message
-          unreadMessages.forEach(msg => {
-            io.to(senderSocketId).emit('message:status', {
-              messageId: msg._id.toString(),
-              status: 'read'
-            });
-          });
-          
-          // Also send bulk notification
-          io.to(senderSocketId).emit('messages:read', {
-            receiverId: socket.userId,
-            count: unreadMessages.length
+        unreadMessages.forEach(msg => {
+          io.to(senderId).emit('message:status', {
+            messageId: msg._id.toString(),
+            status: 'read'
           });
-        }
+        });
+
+        // Also send bulk notification
+        io.to(senderId).emit('messages:read', {
+          receiverId: socket.userId,
+          count: unreadMessages.length
+        });
       } catch (error) {
         console.error('Error updating messages status:', error);
       }
     });
 
     // Handle message reactions
-    socket.on('message:react', async (data) => {
+    socket.on('message:react', async (data, ack) => {
       try {
         const { messageId, emoji } = data;
-
-        // Find the message
-        const message = await Message.findById(messageId);
-        if (!message) {
-          socket.emit('reaction:error', { message: 'Message not found' });
-          return;
-        }
-
-        // Check if user already reacted with this emoji
-        const existingReaction = message.reactions.find(
-          r => r.userId.toString() === socket.userId && r.emoji === emoji
-        );
-
-        if (existingReaction) {
-          // Remove reaction (toggle off)
-          message.reactions = message.reactions.filter(
-            r => !(r.userId.toString() === socket.userId && r.emoji === emoji)
-          );
-        } else {
-          // Remove any other reaction from this user (only one reaction per user)
-          message.reactions = message.reactions.filter(
-            r => r.userId.toString() !== socket.userId
-          );
-          // Add new reaction
-          message.reactions.push({
-            userId: socket.userId,
-            emoji,
-            createdAt: Date.now()
-          });
-        }
-
-        await message.save();
-        await message.populate('reactions.userId', 'name avatar');
-
-        // Broadcast reaction update to both sender and receiver
-        const senderId = message.sender.toString();
-        const receiverId = message.receiver.toString();
-
-        const reactionData = {
-          messageId,
-          reactions: message.reactions,
-          updatedBy: socket.userId
-        };
-
-        // Send to sender
-        const senderSocketId = onlineUsers.get(senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('message:reaction', reactionData);
-        }
-
-        // Send to receiver
-        const receiverSocketId = onlineUsers.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message:reaction', reactionData);
-        }
-
+        const result = await messageService.reactToMessage(io, socket.userId, messageId, emoji);
+        respond(socket, ack, 'reaction:error', result);
       } catch (error) {
         console.error('Error handling reaction:', error);
-        socket.emit('reaction:error', { message: error.message });
+        respond(socket, ack, 'reaction:error', serverError(error));
       }
     });
 
     // Handle message editing
-    socket.on('message:edit', async (data) => {
+    socket.on('message:edit', async (data, ack) => {
       try {
         const { messageId, content } = data;
-
-        const message = await Message.findById(messageId);
-        if (!message) {
-          socket.emit('message:error', { message: 'Message not found' });
-          return;
-        }
-
-        // Check if user is the sender
-        if (message.sender.toString() !== socket.userId) {
-          socket.emit('message:error', { message: 'Unauthorized' });
-          return;
-        }
-
-        // Check if message is within edit time limit (15 minutes)
-        const fifteenMinutes = 15 * 60 * 1000;
-        if (Date.now() - new Date(message.createdAt).getTime() > fifteenMinutes) {
-          socket.emit('message:error', { message: 'Edit time limit exceeded (15 minutes)' });
-          return;
-        }
-
-        // Save to edit history
-        if (!message.editHistory) {
-          message.editHistory = [];
-        }
-        message.editHistory.push({
-          content: message.content,
-          editedAt: Date.now()
-        });
-
-        // Update message
-        message.content = content;
-        message.isEdited = true;
-        message.editedAt = Date.now();
-        
-        // Get receiver ID BEFORE populating (while it's still an ObjectId)
-        const receiverId = message.receiver.toString();
-        
-        await message.save();
-
-        await message.populate('sender', 'name email avatar');
-        await message.populate('receiver', 'name email avatar');
-
-        const editData = {
-          messageId,
-          content,
-          isEdited: true,
-          editedAt: message.editedAt
-        };
-
-        // Broadcast to receiver
-        const receiverSocketId = onlineUsers.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message:edited', editData);
-        }
-
-        // Send to sender
-        socket.emit('message:edited', editData);
-
+        const result = await messageService.editMessage(io, socket.userId, messageId, content);
+        respond(socket, ack, 'message:error', result);
       } catch (error) {
         console.error('Error editing message:', error);
-        socket.emit('message:error', { message: error.message });
+        respond(socket, ack, 'message:error', serverError(error));
       }
     });
 
     // Handle message deletion
-    socket.on('message:delete', async (data) => {
+    socket.on('message:delete', async (data, ack) => {
       try {
-        const { messageId, deleteType } = data; // deleteType: 'me' or 'everyone'
-
-        const message = await Message.findById(messageId);
-        if (!message) {
-          socket.emit('message:error', { message: 'Message not found' });
-          return;
-        }
-
-        // Check if user is the sender
-        if (message.sender.toString() !== socket.userId) {
-          socket.emit('message:error', { message: 'Unauthorized' });
-          return;
-        }
-
-        if (deleteType === 'everyone') {
-          // Check if message is within delete time limit (1 hour)
-          const oneHour = 60 * 60 * 1000;
-          if (Date.now() - new Date(message.createdAt).getTime() > oneHour) {
-            socket.emit('message:error', { message: 'Delete time limit exceeded (1 hour)' });
-            return;
-          }
-
-          // Get receiver ID BEFORE any changes (while it's still an ObjectId)
-          const receiverId = message.receiver.toString();
-
-          message.deletedForEveryone = true;
-          message.isDeleted = true;
-          message.deletedAt = Date.now();
-          message.content = 'This message was deleted';
-          await message.save();
-
-          // Broadcast to receiver
-          const receiverSocketId = onlineUsers.get(receiverId);
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('message:deleted', {
-              messageId,
-              deleteType: 'everyone'
-            });
-          }
+        const { messageId, deleteType = 'me', keepStarred = false } = data; // deleteType: 'me' or 'everyone'
+        const result = await messageService.deleteMessage(io, socket.userId, messageId, deleteType, { keepStarred });
+        respond(socket, ack, 'message:error', result);
+      } catch (error) {
+        console.error('Error deleting message:', error);
+        respond(socket, ack, 'message:error', serverError(error));
+      }
+    });
 
-          // Send to sender
-          socket.emit('message:deleted', {
-            messageId,
-            deleteType: 'everyone'
-          });
-        } else {
-          // Delete for me only
-          if (!message.deletedBy) {
-            message.deletedBy = [];
-          }
-          message.deletedBy.push({
-            userId: socket.userId,
-            deletedAt: Date.now()
-          });
-          await message.save();
+    // Pin a message to its conversation
+    socket.on('message:pin', async (data, ack) => {
+      try {
+        const { messageId, duration = 'forever' } = data; // duration: '24h', '7d' or 'forever'
+        const result = await messageService.pinMessage(io, socket.userId, messageId, duration);
+        respond(socket, ack, 'message:error', result);
+      } catch (error) {
+        console.error('Error pinning message:', error);
+        respond(socket, ack, 'message:error', serverError(error));
+      }
+    });
 
-          socket.emit('message:deleted', {
-            messageId,
-            deleteType: 'me'
-          });
-        }
+    socket.on('message:unpin', async (data, ack) => {
+      try {
+        const result = await messageService.unpinMessage(io, socket.userId, data.messageId);
+        respond(socket, ack, 'message:error', result);
+      } catch (error) {
+        console.error('Error unpinning message:', error);
+        respond(socket, ack, 'message:error', serverError(error));
+      }
+    });
 
+    // Forward messages to direct chats and groups
+    socket.on('message:forward', async (data, ack) => {
+      try {
+        const result = await messageService.forwardMessages(io, socket.userId, data);
+        respond(socket, ack, 'message:error', result);
       } catch (error) {
-        console.error('Error deleting message:', error);
-        socket.emit('message:error', { message: error.message });
+        console.error('Error forwarding messages:', error);
+        respond(socket, ack, 'message:error', serverError(error));
       }
     });
 
     // ============= GROUP CHAT EVENTS =============
 
     // Send message to group
-    socket.on('group:message:send', async (data) => {
+    socket.on('group:message:send', async (data, ack) => {
       try {
-        const { groupId, content, type = 'text', replyTo } = data;
-
-        // Check if user is member of group
-        const group = await Group.findById(groupId);
-        if (!group) {
-          return socket.emit('message:error', { message: 'Group not found' });
-        }
-
-        if (!group.isMember(socket.userId)) {
-          return socket.emit('message:error', { message: 'You are not a member of this group' });
-        }
-
-        // Check if only admins can post
-        if (group.settings.onlyAdminsCanPost && !group.isAdmin(socket.userId)) {
-          return socket.emit('message:error', { message: 'Only admins can post in this group' });
-        }
-
-        // Create group message
-        const message = await Message.create({
-          sender: socket.userId,
-          content,
-          type,
-          conversationType: 'group',
-          groupId,
-          replyTo,
-          readBy: [{ user: socket.userId, readAt: Date.now() }]
-        });
-
-        await message.populate('sender', 'name email avatar');
-        if (replyTo?.messageId) {
-          await message.populate('replyTo.sender', 'name email avatar');
-        }
-
-        // Update group's lastMessage
-        group.lastMessage = message._id;
-        await group.save();
-
-        // Send to all online group members
-        const onlineMembers = group.members
-          .filter(m => onlineUsers.has(m.userId.toString()) && m.userId.toString() !== socket.userId)
-          .map(m => onlineUsers.get(m.userId.toString()));
-
-        onlineMembers.forEach(socketId => {
-          io.to(socketId).emit('group:message:receive', message);
-        });
-
-        // Send confirmation to sender
-        socket.emit('group:message:sent', message);
-
+        const result = await messageService.sendGroupMessage(io, socket.userId, data);
+        respond(socket, ack, 'message:error', result);
       } catch (error) {
         console.error('Error sending group message:', error);
-        socket.emit('message:error', { message: error.message });
+        respond(socket, ack, 'message:error', serverError(error));
       }
     });
 
@@ -539,14 +406,11 @@ module.exports = (io) => {
           timestamp: Date.now()
         });
 
-        // Notify new members individually
-        memberIds.forEach(memberId => {
-          const memberSocketId = onlineUsers.get(memberId);
-          if (memberSocketId) {
-            io.to(memberSocketId).emit('group:added-to-group', {
-              group: group.toObject()
-            });
-          }
+        // Notify new members individually (only those actually added)
+        memberIds.filter(memberId => group.isMember(memberId)).forEach(memberId => {
+          io.to(memberId).emit('group:added-to-group', {
+            group: group.toObject()
+          });
         });
 
       } catch (error) {
@@ -578,16 +442,13 @@ module.exports = (io) => {
           timestamp: Date.now()
         });
 
-        // Notify removed member
-        const memberSocketId = onlineUsers.get(memberId);
-        if (memberSocketId) {
-          io.to(memberSocketId).emit('group:removed-from-group', {
-            groupId,
-            removedBy: socket.userId
-          });
-          // Force leave the group room
-          io.sockets.sockets.get(memberSocketId)?.leave(`group_${groupId}`);
-        }
+        // Notify removed member on all devices
+        io.to(memberId).emit('group:removed-from-group', {
+          groupId,
+          removedBy: socket.userId
+        });
+        // Force all of the member's sockets to leave the group room
+        io.in(memberId).socketsLeave(`group_${groupId}`);
 
       } catch (error) {
         console.error('Error removing member:', error);
@@ -635,11 +496,12 @@ module.exports = (io) => {
         }
 
         // Add user to readBy array if not already there
-        const alreadyRead = message.readBy.some(r => r.user.toString() === socket.userId);
+        const alreadyRead = message.readBy.some(r => r.userId?.toString() === socket.userId);
         if (!alreadyRead) {
-          message.readBy.push({ user: socket.userId, readAt: Date.now() });
+          message.readBy.push({ userId: socket.userId, readAt: Date.now() });
           await message.save();
         }
+        await conversationService.markGroupRead(socket.userId, message.groupId, messageId);
 
         // Notify all group members
         io.to(`group_${groupId}`).emit('group:message:read-receipt', {
@@ -678,32 +540,39 @@ module.exports = (io) => {
     socket.on('call:initiate', async (data) => {
       try {
         const { receiverId, callType } = data; // callType: 'audio' or 'video'
+
+        // Get caller info
+        const caller = await User.findById(socket.userId).select('name email avatar emailVerified');
+
+        // Unverified accounts can't start calls
+        if (!caller.emailVerified) {
+          socket.emit('call:error', {
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address to start calls'
+          });
+          return;
+        }
+
+        const denied = await permissions.checkCanReach(socket.userId, receiverId, 'calls');
+        if (denied) {
+          socket.emit('call:error', { message: denied });
+          return;
+        }
         
         console.log('📞 Call initiate request:', { callerId: socket.userId, receiverId, callType });
-        console.log('📋 Online users:', Array.from(onlineUsers.entries()));
-        
-        const receiverSocketId = onlineUsers.get(receiverId);
-        
         // Check if receiver is online
-        if (!receiverSocketId) {
+        if (!(await presenceStore.isOnline(receiverId))) {
           console.log('❌ Receiver not found in online users');
           socket.emit('call:error', { message: 'User is offline' });
           return;
         }
 
-        console.log('✅ Receiver socket found:', receiverSocketId);
-
         // Check if receiver is already in a call
-        for (const [callId, callData] of activeCalls) {
-          if (callData.participants.includes(receiverId)) {
-            socket.emit('call:error', { message: 'User is busy on another call' });
-            return;
-          }
+        if ((await presenceStore.getCallsByUser(receiverId)).length > 0) {
+          socket.emit('call:error', { message: 'User is busy on another call' });
+          return;
         }
 
-        // Get caller info
-        const caller = await User.findById(socket.userId).select('name email avatar');
-
         // Create call record
         const call = await Call.create({
           caller: socket.userId,
@@ -715,14 +584,20 @@ module.exports = (io) => {
         console.log('📝 Call record created:', call._id);
 
         // Store active call
-        activeCalls.set(call._id.toString(), {
-          call,
-          participants: [socket.userId, receiverId]
+        await presenceStore.saveCall({
+          callId: call._id.toString(),
+          caller: socket.userId,
+          receiver: receiverId,
+          type: callType,
+          status: 'ringing',
+          participants: [socket.userId, receiverId],
+          sockets: { [socket.userId]: socket.id }
         });
 
-        // Notify receiver of incoming call
-        console.log('📤 Sending call:incoming to receiver:', receiverSocketId);
-        io.to(receiverSocketId).emit('call:incoming', {
+        // Ring every device of the receiver
+        console.log('📤 Sending call:incoming to receiver:', receiverId);
+        await privacy.hideAvatars({ caller }, ['caller'], receiverId);
+        io.to(receiverId).emit('call:incoming', {
           callId: call._id,
           caller: {
             id: socket.userId,
@@ -743,18 +618,22 @@ module.exports = (io) => {
 
         // Set timeout for missed call (30 seconds)
         setTimeout(async () => {
-          const activeCall = activeCalls.get(call._id.toString());
-          if (activeCall && activeCall.call.status === 'ringing') {
-            // Mark as missed
-            await Call.findByIdAndUpdate(call._id, {
-              status: 'missed',
-              endReason: 'missed'
-            });
-            activeCalls.delete(call._id.toString());
-
-            // Notify both parties
-            socket.emit('call:missed', { callId: call._id });
-            io.to(receiverSocketId).emit('call:missed', { callId: call._id });
+          try {
+            // Only calls nobody answered in the meantime
+            const missedCall = await presenceStore.removeCall(call._id.toString(), 'ringing');
+            if (missedCall) {
+              // Mark as missed
+              await Call.findByIdAndUpdate(call._id, {
+                status: 'missed',
+                endReason: 'missed'
+              });
+
+              // Notify both parties
+              socket.emit('call:missed', { callId: call._id });
+              io.to(receiverId).emit('call:missed', { callId: call._id });
+            }
+          } catch (error) {
+            console.error('Error marking call as missed:', error);
           }
         }, 30000);
 
@@ -769,9 +648,10 @@ module.exports = (io) => {
       try {
         const { callId } = data;
 
-        const activeCall = activeCalls.get(callId);
+        // This device takes the call, unless it was already answered elsewhere
+        const activeCall = await presenceStore.acceptCall(callId, socket.userId, socket.id);
         if (!activeCall) {
-          socket.emit('call:error', { message: 'Call not found or expired' });
+          socket.emit('call:error', { message: 'Call not found, expired or already answered' });
           return;
         }
 
@@ -780,27 +660,27 @@ module.exports = (io) => {
           status: 'ongoing',
           startTime: Date.now()
         });
-        activeCall.call.status = 'ongoing';
 
         // Get receiver info
         const receiver = await User.findById(socket.userId).select('name email avatar');
 
         // Notify caller that call was accepted
-        const callerSocketId = onlineUsers.get(activeCall.call.caller.toString());
-        if (callerSocketId) {
-          io.to(callerSocketId).emit('call:accepted', {
-            callId,
-            receiver: {
-              id: socket.userId,
-              name: receiver.name,
-              email: receiver.email,
-              avatar: receiver.avatar
-            }
-          });
-        }
+        await privacy.hideAvatars({ receiver }, ['receiver'], activeCall.caller);
+        io.to(callTarget(activeCall, activeCall.caller)).emit('call:accepted', {
+          callId,
+          receiver: {
+            id: socket.userId,
+            name: receiver.name,
+            email: receiver.email,
+            avatar: receiver.avatar
+          }
+        });
 
         socket.emit('call:started', { callId });
 
+        // Stop ringing on the receiver's other devices
+        socket.to(socket.userId).emit('call:answered-elsewhere', { callId });
+
       } catch (error) {
         console.error('Error accepting call:', error);
         socket.emit('call:error', { message: error.message });
@@ -812,7 +692,10 @@ module.exports = (io) => {
       try {
         const { callId } = data;
 
-        const activeCall = activeCalls.get(callId);
+        const call = await presenceStore.getCall(callId);
+        if (!call || call.receiver !== socket.userId) return;
+
+        const activeCall = await presenceStore.removeCall(callId, 'ringing');
         if (!activeCall) return;
 
         // Update call status
@@ -823,12 +706,10 @@ module.exports = (io) => {
         });
 
         // Notify caller
-        const callerSocketId = onlineUsers.get(activeCall.call.caller.toString());
-        if (callerSocketId) {
-          io.to(callerSocketId).emit('call:rejected', { callId });
-        }
+        io.to(callTarget(activeCall, activeCall.caller)).emit('call:rejected', { callId });
 
-        activeCalls.delete(callId);
+        // Stop ringing on the receiver's other devices
+        socket.to(socket.userId).emit('call:rejected-elsewhere', { callId });
 
       } catch (error) {
         console.error('Error rejecting call:', error);
@@ -841,7 +722,10 @@ module.exports = (io) => {
       try {
         const { callId } = data;
 
-        const activeCall = activeCalls.get(callId);
+        const call = await presenceStore.getCall(callId);
+        if (!call || !call.participants.includes(socket.userId)) return;
+
+        const activeCall = await presenceStore.removeCall(callId);
         if (!activeCall) return;
 
         // Update call status
@@ -854,12 +738,7 @@ module.exports = (io) => {
 
         // Notify the other participant
         const otherUserId = activeCall.participants.find(id => id !== socket.userId);
-        const otherSocketId = onlineUsers.get(otherUserId);
-        if (otherSocketId) {
-          io.to(otherSocketId).emit('call:ended', { callId, endedBy: socket.userId });
-        }
-
-        activeCalls.delete(callId);
+        io.to(callTarget(activeCall, otherUserId)).emit('call:ended', { callId, endedBy: socket.userId });
 
       } catch (error) {
         console.error('Error ending call:', error);
@@ -872,7 +751,10 @@ module.exports = (io) => {
       try {
         const { callId } = data;
 
-        const activeCall = activeCalls.get(callId);
+        const call = await presenceStore.getCall(callId);
+        if (!call || call.caller !== socket.userId) return;
+
+        const activeCall = await presenceStore.removeCall(callId, 'ringing');
         if (!activeCall) return;
 
         // Update call status
@@ -882,13 +764,8 @@ module.exports = (io) => {
           endTime: Date.now()
         });
 
-        // Notify receiver
-        const receiverSocketId = onlineUsers.get(activeCall.call.receiver.toString());
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('call:cancelled', { callId });
-        }
-
-        activeCalls.delete(callId);
+        // Stop ringing on all of the receiver's devices
+        io.to(activeCall.receiver).emit('call:cancelled', { callId });
 
       } catch (error) {
         console.error('Error cancelling call:', error);
@@ -897,118 +774,138 @@ module.exports = (io) => {
     });
 
     // WebRTC Signaling: Send offer
-    socket.on('webrtc:offer', (data) => {
-      const { callId, offer, receiverId } = data;
-      const receiverSocketId = onlineUsers.get(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('webrtc:offer', {
+    socket.on('webrtc:offer', async (data) => {
+      try {
+        const { callId, offer, receiverId } = data;
+        const activeCall = await presenceStore.getCall(callId);
+        io.to(activeCall ? callTarget(activeCall, receiverId) : receiverId).emit('webrtc:offer', {
           callId,
           offer,
           callerId: socket.userId
         });
+      } catch (error) {
+        console.error('Error relaying WebRTC offer:', error);
+        socket.emit('call:error', { message: error.message });
       }
     });
 
     // WebRTC Signaling: Send answer
-    socket.on('webrtc:answer', (data) => {
-      const { callId, answer, callerId } = data;
-      const callerSocketId = onlineUsers.get(callerId);
-      if (callerSocketId) {
-        io.to(callerSocketId).emit('webrtc:answer', {
+    socket.on('webrtc:answer', async (data) => {
+      try {
+        const { callId, answer, callerId } = data;
+        const activeCall = await presenceStore.getCall(callId);
+        io.to(activeCall ? callTarget(activeCall, callerId) : callerId).emit('webrtc:answer', {
           callId,
           answer,
           receiverId: socket.userId
         });
+      } catch (error) {
+        console.error('Error relaying WebRTC answer:', error);
+        socket.emit('call:error', { message: error.message });
       }
     });
 
     // WebRTC Signaling: ICE candidate
-    socket.on('webrtc:ice-candidate', (data) => {
-      const { callId, candidate, targetId } = data;
-      const targetSocketId = onlineUsers.get(targetId);
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('webrtc:ice-candidate', {
+    socket.on('webrtc:ice-candidate', async (data) => {
+      try {
+        const { callId, candidate, targetId } = data;
+        const activeCall = await presenceStore.getCall(callId);
+        io.to(activeCall ? callTarget(activeCall, targetId) : targetId).emit('webrtc:ice-candidate', {
           callId,
           candidate,
           senderId: socket.userId
         });
+      } catch (error) {
+        console.error('Error relaying ICE candidate:', error);
+        socket.emit('call:error', { message: error.message });
       }
     });
 
     // Toggle media (mute/unmute, camera on/off)
-    socket.on('call:media-toggle', (data) => {
-      const { callId, mediaType, enabled } = data; // mediaType: 'audio' or 'video'
+    socket.on('call:media-toggle', async (data) => {
+      try {
+        const { callId, mediaType, enabled } = data; // mediaType: 'audio' or 'video'
 
-      const activeCall = activeCalls.get(callId);
-      if (!activeCall) return;
+        const activeCall = await presenceStore.getCall(callId);
+        if (!activeCall || !activeCall.participants.includes(socket.userId)) return;
 
-      const otherUserId = activeCall.participants.find(id => id !== socket.userId);
-      const otherSocketId = onlineUsers.get(otherUserId);
-      if (otherSocketId) {
-        io.to(otherSocketId).emit('call:media-toggled', {
+        const otherUserId = activeCall.participants.find(id => id !== socket.userId);
+        io.to(callTarget(activeCall, otherUserId)).emit('call:media-toggled', {
           callId,
           mediaType,
           enabled,
           userId: socket.userId
         });
+      } catch (error) {
+        console.error('Error toggling call media:', error);
+        socket.emit('call:error', { message: error.message });
       }
     });
 
     // Handle request for online users list
-    socket.on('request:online-users', () => {
-      const onlineUsersList = Array.from(onlineUsers.keys());
-      console.log(`📤 Sending online users list on request to ${socket.userEmail}:`, onlineUsersList);
-      socket.emit('users:online', { userIds: onlineUsersList });
+    socket.on('request:online-users', async () => {
+      try {
+        const onlineUsersList = await privacy.filterVisibleOnline(socket.userId, await presenceStore.getOnlineUserIds());
+        console.log(`📤 Sending online users list on request to ${socket.userEmail}:`, onlineUsersList);
+        socket.emit('users:online', { userIds: onlineUsersList });
+      } catch (error) {
+        console.error('Error sending online users:', error);
+      }
     });
 
     // Handle user disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log(`❌ User disconnected: ${socket.userEmail}`);
 
-      // End any active calls for this user
-      for (const [callId, callData] of activeCalls) {
-        if (callData.participants.includes(socket.userId)) {
+      try {
+        // Remove this device; the user stays online while others are connected
+        const remainingSockets = await presenceStore.removeSocket(socket.userId, socket.id);
+
+        // End calls this device was taking part in, and calls still ringing
+        // for the user once no device is left to answer them
+        const calls = await presenceStore.getCallsByUser(socket.userId);
+        for (const callData of calls) {
+          const joinedHere = callData.sockets[socket.userId] === socket.id;
+          const ringingForUser = remainingSockets === 0 && callData.status === 'ringing';
+          if (!joinedHere && !ringingForUser) continue;
+
+          if (!(await presenceStore.removeCall(callData.callId))) continue;
+
           // Notify other participant
           const otherUserId = callData.participants.find(id => id !== socket.userId);
-          const otherSocketId = onlineUsers.get(otherUserId);
-          if (otherSocketId) {
-            io.to(otherSocketId).emit('call:ended', {
-              callId,
-              endedBy: socket.userId,
-              reason: 'disconnected'
-            });
-          }
+          io.to(callTarget(callData, otherUserId)).emit('call:ended', {
+            callId: callData.callId,
+            endedBy: socket.userId,
+            reason: 'disconnected'
+          });
 
           // Update call record
-          Call.findByIdAndUpdate(callId, {
+          Call.findByIdAndUpdate(callData.callId, {
             status: 'ended',
             endReason: 'failed',
             endTime: Date.now()
-          }).exec();
+          }).exec().catch(error => console.error('Error updating call record:', error));
+        }
 
-          activeCalls.delete(callId);
+        if (remainingSockets > 0) {
+          console.log(`👥 ${socket.userEmail} still has ${remainingSockets} device(s) connected`);
+          return;
         }
+      } catch (error) {
+        console.error('Error removing socket from presence store:', error);
+        return;
       }
 
-      // Remove from online users
-      onlineUsers.delete(socket.userId);
-      console.log(`👥 Removed user from online list. Remaining: ${onlineUsers.size}`);
-
-      // Update user status to offline
-      User.findByIdAndUpdate(socket.userId, {
-        status: 'offline',
-        lastSeen: Date.now()
-      }).exec();
-
-      // Broadcast user offline status to ALL users
-      console.log(`📡 Broadcasting ${socket.userId} is offline`);
-      io.emit('user:offline', {
-        userId: socket.userId,
-        lastSeen: Date.now()
-      });
+      await announceOffline(socket.userId);
     });
   });
 
-  // Helper function to get online users
-  io.getOnlineUsers = () => Array.from(onlineUsers.keys());
+  // Users whose last socket was on a server instance that died
+  presenceStore.onUsersOffline((userIds) => {
+    userIds.forEach(userId => announceOffline(userId));
+  });
+
+  // Online user IDs across all server instances. Resolves to the array; it
+  // replaces the synchronous io.getOnlineUsers() so stale callers fail loudly
+  io.getOnlineUserIds = () => presenceStore.getOnlineUserIds();
 };
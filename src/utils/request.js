@@ -0,0 +1,8 @@
+// Client IP and user agent of a request. Behind a proxy, set TRUST_PROXY so
+// Express derives req.ip from X-Forwarded-For.
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+  ip: req.ip || ''
+});
+
+module.exports = { getClientInfo };